@@ -2,15 +2,48 @@
 
 const FEATURE_KEYS = ['tokenCounter', 'promptNavigator', 'responseStyling', 'sessionTracker', 'contextCollector', 'soundNotification'];
 
-const DEFAULT_SETTINGS = {
-  tokenCounter: true,
-  promptNavigator: true,
-  responseStyling: true,
-  sessionTracker: true,
-  contextCollector: true,
-  soundNotification: false
+const { DEFAULT_CONTEXT_WINDOWS, DEFAULT_CONTEXT_MODEL, DEFAULT_MODEL_PRICES, DEFAULT_BUDGET_THRESHOLDS, DEFAULT_SETTINGS } = window.ChatGPTUxSuiteDefaults;
+const { DEFAULT_KEYBINDINGS, KEY_CODE_LABELS, formatKeybinding } = window.ChatGPTUxSuiteDefaults;
+
+const KEYBINDING_LABELS = {
+  'nav.previous': 'Previous prompt (or target)',
+  'nav.next': 'Next prompt (or target)',
+  'nav.modeNext': 'Next navigator mode',
+  'nav.modePrevious': 'Previous navigator mode',
+  'nav.palette': 'Go to prompt',
+  'nav.back': 'Back',
+  'nav.forward': 'Forward',
+  'turn.copy': 'Copy focused turn',
+  'turn.bookmark': 'Bookmark focused turn',
+  'turn.select': 'Add focused turn to collector',
+  'turn.collapse': 'Collapse / expand focused turn',
+  'turns.collapseResponses': 'Collapse all responses',
+  'turns.expandAll': 'Expand all turns',
+  'collector.toggle': 'Open / close collector',
+  'collector.selectAll': 'Collector: select all',
+  'collector.copy': 'Collector: copy',
+  'collector.copyPlain': 'Collector: copy as text',
+  'collector.copyJson': 'Collector: copy as JSON',
+  'collector.copyXml': 'Collector: copy as XML',
+  'collector.exit': 'Collector: close'
+};
+
+// Browser-level commands (manifest.json) that run the same action as an in-page binding
+const COMMAND_KEYBINDING_ACTIONS = {
+  'jump-to-prev-user-prompt': 'nav.previous',
+  'jump-to-next-user-prompt': 'nav.next',
+  'cycle-navigation-target': 'nav.modeNext',
+  'open-prompt-palette': 'nav.palette',
+  'navigate-back': 'nav.back',
+  'navigate-forward': 'nav.forward'
 };
 
+const MODIFIER_ORDER = ['Mod', 'Ctrl', 'Alt', 'Shift', 'Meta'];
+
+// Turn bookmarks live in chrome.storage.local, one key per conversation - keep in sync with unifiedContentScript.js
+const BOOKMARK_STORAGE_PREFIX = 'chatgptBookmarks_';
+const PENDING_BOOKMARK_JUMP_KEY = 'chatgptPendingBookmarkJump';
+
 // Chime presets - designed for pleasant, luxurious notification sounds
 // All use low frequencies, consonant intervals, and reduced volume for comfort
 const CHIME_PRESETS = {
@@ -284,9 +317,671 @@ async function handleActivateLicense() {
   }
 }
 
+function formatThresholds(thresholds) {
+  return thresholds.map((value) => (value % 1000 === 0 ? `${value / 1000}k` : String(value))).join(', ');
+}
+
+// "50k, 1.5M, 80000" -> [50000, 80000, 1500000]; returns null if any entry is not a positive count
+function parseThresholds(text) {
+  const parts = text.split(/[,\s]+/).filter(Boolean);
+  const values = parts.map((part) => {
+    const match = part.match(/^(\d+(?:\.\d+)?)([km])?$/i);
+    if (!match) return NaN;
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(Number(match[1]) * multiplier);
+  });
+  if (values.some((value) => !Number.isFinite(value) || value <= 0)) return null;
+  return Array.from(new Set(values)).sort((a, b) => a - b);
+}
+
+function initializeModelOptions(settings) {
+  const modelSelect = document.getElementById('context-model-select');
+  const windowInput = document.getElementById('context-window-input');
+  const autoDetect = document.getElementById('context-auto-detect');
+  if (!modelSelect || !windowInput || !autoDetect) return;
+
+  const inputPrice = document.getElementById('model-input-price');
+  const outputPrice = document.getElementById('model-output-price');
+
+  const overrides = { ...(settings.contextWindows || {}) };
+  const getWindow = (model) => overrides[model] || DEFAULT_CONTEXT_WINDOWS[model];
+  const priceOverrides = { ...(settings.modelPrices || {}) };
+  const getPrice = (model) => priceOverrides[model] || DEFAULT_MODEL_PRICES[model];
+  const thresholdsInput = document.getElementById('budget-thresholds-input');
+  const thresholdOverrides = { ...(settings.budgetThresholds || {}) };
+  const getThresholds = (model) => (Array.isArray(thresholdOverrides[model]) ? thresholdOverrides[model] : DEFAULT_BUDGET_THRESHOLDS);
+  const showThresholds = (model) => {
+    if (thresholdsInput) thresholdsInput.value = formatThresholds(getThresholds(model));
+  };
+
+  const showPrices = (model) => {
+    if (!inputPrice || !outputPrice) return;
+    const price = getPrice(model);
+    inputPrice.value = price.input;
+    outputPrice.value = price.output;
+  };
+
+  Object.keys(DEFAULT_CONTEXT_WINDOWS).forEach((model) => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    modelSelect.appendChild(option);
+  });
+  modelSelect.value = DEFAULT_CONTEXT_WINDOWS[settings.contextModel] ? settings.contextModel : DEFAULT_CONTEXT_MODEL;
+  windowInput.value = getWindow(modelSelect.value);
+  showPrices(modelSelect.value);
+  showThresholds(modelSelect.value);
+  autoDetect.checked = settings.contextModelAutoDetect !== false;
+
+  modelSelect.addEventListener('change', async () => {
+    windowInput.value = getWindow(modelSelect.value);
+    showPrices(modelSelect.value);
+    showThresholds(modelSelect.value);
+    await saveSetting('contextModel', modelSelect.value);
+  });
+
+  // Edits apply to the model currently shown in the select
+  windowInput.addEventListener('change', async () => {
+    const value = Math.round(Number(windowInput.value));
+    const model = modelSelect.value;
+    if (!Number.isFinite(value) || value <= 0) {
+      windowInput.value = getWindow(model);
+      return;
+    }
+    if (value === DEFAULT_CONTEXT_WINDOWS[model]) {
+      delete overrides[model];
+    } else {
+      overrides[model] = value;
+    }
+    await saveSetting('contextWindows', { ...overrides });
+  });
+
+  // Prices are edited the same way, per selected model
+  const savePrice = async () => {
+    const model = modelSelect.value;
+    const input = Number(inputPrice.value);
+    const output = Number(outputPrice.value);
+    if (!Number.isFinite(input) || !Number.isFinite(output) || input < 0 || output < 0) {
+      showPrices(model);
+      return;
+    }
+    const defaults = DEFAULT_MODEL_PRICES[model];
+    if (input === defaults.input && output === defaults.output) {
+      delete priceOverrides[model];
+    } else {
+      priceOverrides[model] = { input, output };
+    }
+    await saveSetting('modelPrices', { ...priceOverrides });
+  };
+  if (inputPrice && outputPrice) {
+    inputPrice.addEventListener('change', savePrice);
+    outputPrice.addEventListener('change', savePrice);
+  }
+
+  // An empty list switches alerts off for that model
+  if (thresholdsInput) {
+    thresholdsInput.addEventListener('change', async () => {
+      const model = modelSelect.value;
+      const thresholds = parseThresholds(thresholdsInput.value);
+      if (!thresholds) {
+        showThresholds(model);
+        return;
+      }
+      if (thresholds.join(',') === DEFAULT_BUDGET_THRESHOLDS.join(',')) {
+        delete thresholdOverrides[model];
+      } else {
+        thresholdOverrides[model] = thresholds;
+      }
+      showThresholds(model);
+      await saveSetting('budgetThresholds', { ...thresholdOverrides });
+    });
+  }
+
+  const alertSound = document.getElementById('budget-alert-sound');
+  if (alertSound) {
+    alertSound.checked = settings.budgetAlertSound === true;
+    alertSound.addEventListener('change', async () => {
+      await saveSetting('budgetAlertSound', alertSound.checked);
+    });
+  }
+
+  autoDetect.addEventListener('change', async () => {
+    await saveSetting('contextModelAutoDetect', autoDetect.checked);
+  });
+}
+
+// Chat Completions adds ~3 tokens of framing per message plus 3 to prime the reply
+const CHAT_MESSAGE_OVERHEAD_TOKENS = 3;
+
+function toCalibrationSample(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const usage = entry.usage || {};
+  let text = [entry.text, entry.content, entry.prompt, entry.input].find((value) => typeof value === 'string');
+  let overhead = 0;
+  if (text === undefined && Array.isArray(entry.messages)) {
+    text = entry.messages.map((message) => (typeof message.content === 'string' ? message.content : '')).join('\n');
+    overhead = CHAT_MESSAGE_OVERHEAD_TOKENS * (entry.messages.length + 1);
+  }
+  const tokens = [entry.tokens, entry.token_count, entry.prompt_tokens, entry.input_tokens, usage.prompt_tokens, usage.input_tokens]
+    .map(Number)
+    .find((value) => Number.isFinite(value) && value > 0);
+  if (!text || !tokens) return null;
+  return { text, tokens: Math.max(1, tokens - overhead) };
+}
+
+// Accepts a JSON array, { samples: [...] }, a single object, or JSONL
+function parseCalibrationSamples(input) {
+  const trimmed = input.trim();
+  if (!trimmed) return [];
+  let entries;
+  try {
+    const parsed = JSON.parse(trimmed);
+    entries = Array.isArray(parsed) ? parsed : (Array.isArray(parsed.samples) ? parsed.samples : [parsed]);
+  } catch (error) {
+    entries = trimmed.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  }
+  return entries.map(toCalibrationSample).filter(Boolean);
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function initializeCalibration(settings) {
+  const input = document.getElementById('calibration-input');
+  const calibrateBtn = document.getElementById('calibrate-btn');
+  const resetBtn = document.getElementById('calibration-reset-btn');
+  const status = document.getElementById('calibration-status');
+  const estimator = window.ChatGPTTokenEstimator;
+  if (!input || !calibrateBtn || !resetBtn || !status || !estimator) return;
+
+  const showStatus = (message, isError = false) => {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  };
+  const describe = (calibration) => `Mean error ${formatPercent(calibration.errorBefore)} → ${formatPercent(calibration.errorAfter)} on ${calibration.samples} sample${calibration.samples === 1 ? '' : 's'} (heuristic engine)`;
+
+  if (settings.tokenCalibration && settings.tokenCalibration.coefficients) {
+    if (settings.tokenCalibration.errorAfter >= settings.tokenCalibration.errorBefore) {
+      showStatus(`Saved calibration is ignored: ${describe(settings.tokenCalibration)}`, true);
+    } else {
+      showStatus(describe(settings.tokenCalibration));
+    }
+  } else {
+    showStatus('Using built-in coefficients');
+  }
+
+  calibrateBtn.addEventListener('click', async () => {
+    let samples;
+    try {
+      samples = parseCalibrationSamples(input.value);
+    } catch (error) {
+      showStatus('Could not parse input as JSON or JSONL', true);
+      return;
+    }
+    if (!samples.length) {
+      showStatus('No samples with text and a token count found', true);
+      return;
+    }
+    try {
+      const result = estimator.calibrate(samples);
+      if (!result.improved) {
+        showStatus(`Not saved, the fit does not reduce error: ${describe(result)}. Add more or more varied samples.`, true);
+        return;
+      }
+      const calibration = { ...result, calibratedAt: Date.now() };
+      await saveSetting('tokenCalibration', calibration);
+      showStatus(describe(calibration));
+    } catch (error) {
+      showStatus(error.message, true);
+    }
+  });
+
+  resetBtn.addEventListener('click', async () => {
+    await saveSetting('tokenCalibration', null);
+    showStatus('Using built-in coefficients');
+  });
+}
+
+function eventToKeybinding(e) {
+  const modifiers = [];
+  if (e.ctrlKey) modifiers.push('Ctrl');
+  if (e.altKey) modifiers.push('Alt');
+  if (e.shiftKey) modifiers.push('Shift');
+  if (e.metaKey) modifiers.push('Meta');
+  return [...modifiers, e.code].join('+');
+}
+
+// Browser shortcuts come back as "Alt+Shift+D" (or "⌥⇧D" on macOS); turn them into binding strings
+function commandShortcutToKeybinding(shortcut) {
+  if (!shortcut) return '';
+  const symbols = { '⌃': 'Ctrl', '⌥': 'Alt', '⇧': 'Shift', '⌘': 'Meta' };
+  const names = { Ctrl: 'Ctrl', MacCtrl: 'Ctrl', Alt: 'Alt', Option: 'Alt', Shift: 'Shift', Command: 'Meta' };
+  const modifiers = new Set();
+  let rest = shortcut;
+  while (rest && symbols[rest[0]]) {
+    modifiers.add(symbols[rest[0]]);
+    rest = rest.slice(1);
+  }
+  const parts = rest.split('+');
+  const key = parts.pop();
+  parts.forEach((part) => modifiers.add(names[part] || part));
+  let code = Object.keys(KEY_CODE_LABELS).find((name) => KEY_CODE_LABELS[name] === key) || key;
+  if (/^[A-Z]$/i.test(key)) code = `Key${key.toUpperCase()}`;
+  else if (/^\d$/.test(key)) code = `Digit${key}`;
+  return [...MODIFIER_ORDER.filter((m) => modifiers.has(m)), code].join('+');
+}
+
+// "Mod" stands for both Ctrl and ⌘, so Mod+Enter collides with Ctrl+Enter and with Meta+Enter
+function expandKeybinding(binding) {
+  if (!binding) return [];
+  const parts = binding.split('+');
+  const code = parts.pop();
+  const variants = parts.includes('Mod') ? [['Ctrl'], ['Meta']] : [[]];
+  return variants.map((extra) => {
+    const modifiers = new Set([...parts.filter((p) => p !== 'Mod'), ...extra]);
+    return [...MODIFIER_ORDER.filter((m) => modifiers.has(m)), code].join('+');
+  });
+}
+
+function keybindingsOverlap(a, b) {
+  const expanded = expandKeybinding(a);
+  return expandKeybinding(b).some((variant) => expanded.includes(variant));
+}
+
+function getEffectiveKeybindings(overrides) {
+  return { ...DEFAULT_KEYBINDINGS, ...(overrides || {}) };
+}
+
+function findKeybindingConflict(action, binding, bindings, commandShortcuts) {
+  if (!binding) return null;
+  const other = Object.keys(bindings).find((name) => name !== action && keybindingsOverlap(bindings[name], binding));
+  if (other) return `${formatKeybinding(binding)} is already used by "${KEYBINDING_LABELS[other]}"`;
+  const command = commandShortcuts.find((c) => c.action !== action && keybindingsOverlap(c.binding, binding));
+  if (command) return `${formatKeybinding(binding)} is the browser shortcut for "${command.description}"`;
+  return null;
+}
+
+async function loadCommandShortcuts() {
+  if (!chrome.commands || !chrome.commands.getAll) return [];
+  try {
+    const commands = await chrome.commands.getAll();
+    return commands
+      .filter((command) => command.shortcut)
+      .map((command) => ({
+        action: COMMAND_KEYBINDING_ACTIONS[command.name] || null,
+        binding: commandShortcutToKeybinding(command.shortcut),
+        description: command.description || command.name
+      }));
+  } catch (e) {
+    return [];
+  }
+}
+
+async function initializeKeybindings(settings) {
+  const list = document.getElementById('keybinding-list');
+  const status = document.getElementById('keybinding-status');
+  const editBtn = document.getElementById('keybindings-edit-btn');
+  const resetBtn = document.getElementById('keybindings-reset-btn');
+  const options = document.getElementById('keybinding-options');
+  if (!list || !status || !options) return;
+
+  let overrides = { ...(settings.keybindings || {}) };
+  let recording = null;
+  const commandShortcuts = await loadCommandShortcuts();
+
+  const setStatus = (text, isError = false) => {
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  };
+
+  const save = async (next) => {
+    overrides = next;
+    await saveSetting('keybindings', overrides);
+    render();
+  };
+
+  const stopRecording = () => {
+    if (!recording) return;
+    document.removeEventListener('keydown', recording.listener, true);
+    recording = null;
+  };
+
+  const startRecording = (action, button) => {
+    stopRecording();
+    button.textContent = 'Press keys…';
+    button.classList.add('active');
+    setStatus('Esc cancels, Backspace leaves the action unbound');
+    const listener = (e) => {
+      if (/^(Shift|Control|Alt|Meta)/.test(e.code)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      stopRecording();
+      const plain = !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey;
+      if (plain && e.code === 'Escape') {
+        setStatus('');
+        render();
+        return;
+      }
+      const binding = plain && (e.code === 'Backspace' || e.code === 'Delete') ? '' : eventToKeybinding(e);
+      const conflict = findKeybindingConflict(action, binding, getEffectiveKeybindings(overrides), commandShortcuts);
+      if (conflict) {
+        setStatus(conflict, true);
+        render();
+        return;
+      }
+      const next = { ...overrides };
+      if (binding === DEFAULT_KEYBINDINGS[action]) delete next[action];
+      else next[action] = binding;
+      setStatus(binding ? `${KEYBINDING_LABELS[action]}: ${formatKeybinding(binding)}` : `${KEYBINDING_LABELS[action]} is now unbound`);
+      save(next);
+    };
+    recording = { action, listener };
+    document.addEventListener('keydown', listener, true);
+  };
+
+  const resetAction = (action) => {
+    const conflict = findKeybindingConflict(action, DEFAULT_KEYBINDINGS[action], getEffectiveKeybindings(overrides), commandShortcuts);
+    if (conflict) {
+      setStatus(`Can't restore the default: ${conflict}`, true);
+      return;
+    }
+    const next = { ...overrides };
+    delete next[action];
+    setStatus('');
+    save(next);
+  };
+
+  function render() {
+    const bindings = getEffectiveKeybindings(overrides);
+    list.textContent = '';
+    Object.keys(DEFAULT_KEYBINDINGS).forEach((action) => {
+      const row = document.createElement('div');
+      row.className = 'keybinding-row';
+
+      const label = document.createElement('span');
+      label.className = 'keybinding-label';
+      label.textContent = KEYBINDING_LABELS[action];
+
+      const keyBtn = document.createElement('button');
+      keyBtn.className = 'feature-option keybinding-key';
+      keyBtn.textContent = formatKeybinding(bindings[action]) || 'unbound';
+      keyBtn.title = 'Click, then press the new shortcut';
+      keyBtn.classList.toggle('keybinding-key--unbound', !bindings[action]);
+      keyBtn.addEventListener('click', () => startRecording(action, keyBtn));
+
+      // Bindings saved before a browser shortcut was assigned can still collide; flag them
+      const clash = commandShortcuts.find((c) => c.action !== action && keybindingsOverlap(c.binding, bindings[action]));
+      if (clash) {
+        row.classList.add('keybinding-row--conflict');
+        keyBtn.title = `Also the browser shortcut for "${clash.description}"`;
+      }
+
+      row.appendChild(label);
+      row.appendChild(keyBtn);
+      if (Object.prototype.hasOwnProperty.call(overrides, action)) {
+        const resetOne = document.createElement('button');
+        resetOne.className = 'keybinding-reset';
+        resetOne.textContent = '↺';
+        resetOne.title = `Restore ${formatKeybinding(DEFAULT_KEYBINDINGS[action]) || 'default'}`;
+        resetOne.addEventListener('click', () => resetAction(action));
+        row.appendChild(resetOne);
+      }
+      list.appendChild(row);
+    });
+  }
+
+  if (editBtn) {
+    editBtn.addEventListener('click', () => {
+      const visible = !options.classList.contains('visible');
+      options.classList.toggle('visible', visible);
+      editBtn.classList.toggle('active', visible);
+      if (!visible) stopRecording();
+    });
+  }
+
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      stopRecording();
+      setStatus('All shortcuts restored');
+      save({});
+    });
+  }
+
+  render();
+}
+
+function initializeTabs() {
+  const tabs = document.querySelectorAll('.popup-tab');
+  tabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      tabs.forEach((other) => {
+        const active = other === tab;
+        other.classList.toggle('active', active);
+        other.setAttribute('aria-selected', active ? 'true' : 'false');
+      });
+      document.querySelectorAll('[data-panel]').forEach((panel) => {
+        panel.hidden = panel.dataset.panel !== tab.dataset.tab;
+      });
+      if (tab.dataset.tab === 'saved') renderSavedBookmarks();
+    });
+  });
+}
+
+async function loadBookmarkRecords() {
+  const all = await chrome.storage.local.get(null);
+  return Object.keys(all)
+    .filter((key) => key.startsWith(BOOKMARK_STORAGE_PREFIX) && all[key] && Array.isArray(all[key].items))
+    .map((key) => all[key]);
+}
+
+// Every bookmarked turn across conversations, newest first
+function flattenBookmarks(records) {
+  const entries = [];
+  records.forEach((record) => {
+    record.items.forEach((item) => entries.push({ record, item }));
+  });
+  return entries.sort((a, b) => (b.item.createdAt || 0) - (a.item.createdAt || 0));
+}
+
+function matchesBookmarkQuery(entry, query) {
+  if (!query) return true;
+  const haystack = [entry.record.title, entry.item.snippet, ...(entry.item.tags || [])]
+    .join(' ')
+    .toLowerCase();
+  return query.split(/\s+/).every((word) => haystack.includes(word));
+}
+
+async function updateBookmarkItem(conversationId, key, update) {
+  const storageKey = `${BOOKMARK_STORAGE_PREFIX}${conversationId}`;
+  const result = await chrome.storage.local.get({ [storageKey]: null });
+  const record = result[storageKey];
+  if (!record) return;
+  const items = record.items
+    .map((item) => (item.key === key ? update(item) : item))
+    .filter(Boolean);
+  if (items.length) {
+    await chrome.storage.local.set({ [storageKey]: { ...record, items, updatedAt: Date.now() } });
+  } else {
+    await chrome.storage.local.remove(storageKey);
+  }
+}
+
+function normalizeTag(text) {
+  return text.trim().replace(/^#/, '').replace(/\s+/g, '-').toLowerCase().slice(0, 24);
+}
+
+// Focuses the tab that already shows the conversation, or opens it and leaves a note for the content script
+async function openBookmark(record, item) {
+  let tab = null;
+  try {
+    [tab] = await chrome.tabs.query({ url: record.url });
+  } catch (e) {
+    // Not a valid match pattern; open a new tab instead
+  }
+  if (tab && tab.id) {
+    await chrome.tabs.update(tab.id, { active: true });
+    if (chrome.windows) chrome.windows.update(tab.windowId, { focused: true });
+    chrome.tabs.sendMessage(tab.id, { type: 'BOOKMARK_JUMP', key: item.key }).catch(() => {
+      // Content script might not be ready, ignore error
+    });
+  } else {
+    await chrome.storage.local.set({
+      [PENDING_BOOKMARK_JUMP_KEY]: { conversationId: record.conversationId, key: item.key, createdAt: Date.now() }
+    });
+    await chrome.tabs.create({ url: record.url });
+  }
+  window.close();
+}
+
+function createTagControls(entry) {
+  const { record, item } = entry;
+  const container = document.createElement('div');
+  container.className = 'saved-item-tags';
+
+  (item.tags || []).forEach((tag) => {
+    const chip = document.createElement('button');
+    chip.className = 'saved-tag';
+    chip.textContent = `#${tag}`;
+    chip.title = 'Click to filter by this tag, Alt+click to remove it';
+    chip.addEventListener('click', (e) => {
+      if (e.altKey) {
+        updateBookmarkItem(record.conversationId, item.key, (current) => ({
+          ...current,
+          tags: (current.tags || []).filter((t) => t !== tag)
+        }));
+        return;
+      }
+      const search = document.getElementById('saved-search');
+      search.value = tag;
+      renderSavedBookmarks();
+    });
+    container.appendChild(chip);
+  });
+
+  const addBtn = document.createElement('button');
+  addBtn.className = 'saved-tag-add';
+  addBtn.textContent = '+ tag';
+  addBtn.addEventListener('click', () => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'feature-input saved-tag-input';
+    input.placeholder = 'tag';
+    input.spellcheck = false;
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      const tag = normalizeTag(input.value);
+      if (save && tag) {
+        updateBookmarkItem(record.conversationId, item.key, (current) => ({
+          ...current,
+          tags: Array.from(new Set([...(current.tags || []), tag]))
+        }));
+      } else {
+        input.replaceWith(addBtn);
+      }
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+    addBtn.replaceWith(input);
+    input.focus();
+  });
+  container.appendChild(addBtn);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'saved-remove';
+  removeBtn.textContent = 'Remove';
+  removeBtn.title = 'Delete this bookmark';
+  removeBtn.addEventListener('click', () => {
+    updateBookmarkItem(record.conversationId, item.key, () => null);
+  });
+  container.appendChild(removeBtn);
+  return container;
+}
+
+function createSavedItem(entry) {
+  const { record, item } = entry;
+  const el = document.createElement('div');
+  el.className = 'saved-item';
+
+  const header = document.createElement('div');
+  header.className = 'saved-item-header';
+  const title = document.createElement('a');
+  title.className = 'saved-item-title';
+  title.href = record.url;
+  title.textContent = record.title || 'Untitled conversation';
+  title.title = 'Open the conversation at this turn';
+  title.addEventListener('click', (e) => {
+    e.preventDefault();
+    openBookmark(record, item);
+  });
+  const date = document.createElement('span');
+  date.className = 'saved-item-date';
+  date.textContent = item.createdAt ? new Date(item.createdAt).toLocaleDateString() : '';
+  header.appendChild(title);
+  header.appendChild(date);
+
+  const snippet = document.createElement('div');
+  snippet.className = 'saved-item-snippet';
+  const role = document.createElement('span');
+  role.className = 'saved-item-role';
+  role.textContent = item.role === 'user' ? 'You: ' : 'ChatGPT: ';
+  snippet.appendChild(role);
+  snippet.appendChild(document.createTextNode(item.snippet || '(empty turn)'));
+
+  el.appendChild(header);
+  el.appendChild(snippet);
+  el.appendChild(createTagControls(entry));
+  return el;
+}
+
+async function renderSavedBookmarks() {
+  const list = document.getElementById('saved-list');
+  const empty = document.getElementById('saved-empty');
+  const count = document.getElementById('saved-count');
+  const search = document.getElementById('saved-search');
+  if (!list || !empty) return;
+
+  const entries = flattenBookmarks(await loadBookmarkRecords());
+  if (count) count.textContent = entries.length ? entries.length : '';
+  const query = search ? search.value.trim().toLowerCase() : '';
+  const visible = entries.filter((entry) => matchesBookmarkQuery(entry, query));
+
+  list.textContent = '';
+  visible.forEach((entry) => list.appendChild(createSavedItem(entry)));
+  empty.hidden = visible.length > 0;
+  empty.textContent = entries.length
+    ? 'No bookmarks match your search.'
+    : 'No bookmarks yet. Hover a turn in ChatGPT and click ★ to save it.';
+}
+
+function initializeSavedBookmarks() {
+  const search = document.getElementById('saved-search');
+  if (search) search.addEventListener('input', renderSavedBookmarks);
+  renderSavedBookmarks();
+
+  // Tag and remove edits (here or in a ChatGPT tab) re-render the list
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (Object.keys(changes).some((key) => key.startsWith(BOOKMARK_STORAGE_PREFIX))) {
+      renderSavedBookmarks();
+    }
+  });
+}
+
 async function initializePopup() {
   const settings = await loadSettings();
 
+  initializeTabs();
+  initializeSavedBookmarks();
+
   // Set toggle states based on saved settings
   FEATURE_KEYS.forEach((feature) => {
     const toggle = document.getElementById(`toggle-${feature}`);
@@ -307,6 +1002,21 @@ async function initializePopup() {
           }
         }
 
+        // Token counter options only matter while the counter is on
+        if (feature === 'tokenCounter') {
+          const tokenCounterOptions = document.getElementById('token-counter-options');
+          if (tokenCounterOptions) {
+            tokenCounterOptions.classList.toggle('visible', enabled);
+          }
+        }
+
+        if (feature === 'promptNavigator') {
+          const promptNavigatorOptions = document.getElementById('prompt-navigator-options');
+          if (promptNavigatorOptions) {
+            promptNavigatorOptions.classList.toggle('visible', enabled);
+          }
+        }
+
         // Notify content scripts about the change
         notifyContentScripts({ type: 'SETTINGS_CHANGED', feature, enabled });
       });
@@ -352,6 +1062,76 @@ async function initializePopup() {
     });
   }
 
+  // Initialize token counter options (tokenizer engine, context window, pricing)
+  const tokenCounterOptions = document.getElementById('token-counter-options');
+  const tokenToggle = document.getElementById('toggle-tokenCounter');
+  if (tokenCounterOptions && tokenToggle) {
+    if (tokenToggle.checked) {
+      tokenCounterOptions.classList.add('visible');
+    }
+
+    const engineButtons = tokenCounterOptions.querySelectorAll('.feature-option[data-engine]');
+    engineButtons.forEach((btn) => {
+      const engine = btn.dataset.engine;
+      if (engine === settings.tokenizerEngine) {
+        btn.classList.add('active');
+      }
+
+      // Content scripts pick up the new engine through storage.onChanged
+      btn.addEventListener('click', async () => {
+        engineButtons.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        await saveSetting('tokenizerEngine', engine);
+      });
+    });
+
+    initializeModelOptions(settings);
+
+    const annotationsToggle = document.getElementById('token-annotations-toggle');
+    if (annotationsToggle) {
+      annotationsToggle.checked = settings.tokenAnnotations === true;
+      annotationsToggle.addEventListener('change', async () => {
+        await saveSetting('tokenAnnotations', annotationsToggle.checked);
+      });
+    }
+
+    const selectionToggle = document.getElementById('selection-count-toggle');
+    if (selectionToggle) {
+      selectionToggle.checked = settings.selectionTokenCount !== false;
+      selectionToggle.addEventListener('change', async () => {
+        await saveSetting('selectionTokenCount', selectionToggle.checked);
+      });
+    }
+
+    initializeCalibration(settings);
+
+    const reasoningToggle = document.getElementById('include-reasoning-toggle');
+    if (reasoningToggle) {
+      reasoningToggle.checked = settings.includeReasoningTokens === true;
+      reasoningToggle.addEventListener('change', async () => {
+        await saveSetting('includeReasoningTokens', reasoningToggle.checked);
+      });
+    }
+  }
+
+  const promptNavigatorOptions = document.getElementById('prompt-navigator-options');
+  const navigatorToggle = document.getElementById('toggle-promptNavigator');
+  const minimapToggle = document.getElementById('prompt-minimap-toggle');
+  const vimToggle = document.getElementById('vim-navigation-toggle');
+  if (promptNavigatorOptions && navigatorToggle && minimapToggle && vimToggle) {
+    promptNavigatorOptions.classList.toggle('visible', navigatorToggle.checked);
+    minimapToggle.checked = settings.promptMinimap === true;
+    minimapToggle.addEventListener('change', async () => {
+      await saveSetting('promptMinimap', minimapToggle.checked);
+    });
+    vimToggle.checked = settings.vimNavigation === true;
+    vimToggle.addEventListener('change', async () => {
+      await saveSetting('vimNavigation', vimToggle.checked);
+    });
+  }
+
+  await initializeKeybindings(settings);
+
   // Initialize license UI
   await updateLicenseUI();
 
@@ -0,0 +1,204 @@
+(function () {
+  'use strict';
+
+  // Rank tables are bundled with the extension (see vocab/) so no network access is needed.
+  // Only the background script loads them; they are not web-accessible, so pages never fetch them.
+  const ENCODING_FILES = {
+    o200k_base: 'vocab/o200k_base.json',
+    cl100k_base: 'vocab/cl100k_base.json'
+  };
+
+  // Very long pieces (base64 blobs, minified code) make the merge loop quadratic,
+  // so they are encoded in fixed-size slices instead. The count drifts by a token or two at most.
+  const MAX_PIECE_BYTES = 512;
+  const PIECE_CACHE_LIMIT = 20000;
+
+  const encodings = new Map();
+  const pendingLoads = new Map();
+
+  const textEncoder = new TextEncoder();
+
+  function parseRanks(bpeRanks) {
+    const ranks = new Map();
+    bpeRanks.split('\n').filter(Boolean).forEach((line) => {
+      const [, offsetText, ...tokens] = line.split(' ');
+      const offset = Number.parseInt(offsetText, 10);
+      tokens.forEach((token, index) => {
+        // atob yields a binary string (one char per byte), which doubles as a compact map key
+        ranks.set(atob(token), offset + index);
+      });
+    });
+    return ranks;
+  }
+
+  function createEncoding(name, data) {
+    return {
+      name,
+      pattern: new RegExp(data.pat_str, 'gu'),
+      ranks: parseRanks(data.bpe_ranks),
+      pieceCache: new Map()
+    };
+  }
+
+  function toBinaryString(text) {
+    const bytes = textEncoder.encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return binary;
+  }
+
+  function bytePairEncode(piece, ranks) {
+    const direct = ranks.get(piece);
+    if (direct !== undefined) {
+      return [direct];
+    }
+
+    // Boundaries between the current parts; repeatedly merge the adjacent pair with the lowest rank
+    const boundaries = [];
+    for (let i = 0; i <= piece.length; i++) {
+      boundaries.push(i);
+    }
+
+    while (boundaries.length > 2) {
+      let minRank = Infinity;
+      let minIndex = -1;
+      for (let i = 0; i < boundaries.length - 2; i++) {
+        const rank = ranks.get(piece.slice(boundaries[i], boundaries[i + 2]));
+        if (rank !== undefined && rank < minRank) {
+          minRank = rank;
+          minIndex = i;
+        }
+      }
+      if (minIndex === -1) {
+        break;
+      }
+      boundaries.splice(minIndex + 1, 1);
+    }
+
+    const tokens = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const rank = ranks.get(piece.slice(boundaries[i], boundaries[i + 1]));
+      if (rank !== undefined) {
+        tokens.push(rank);
+      }
+    }
+    return tokens;
+  }
+
+  function encodePiece(encoding, piece) {
+    const cached = encoding.pieceCache.get(piece);
+    if (cached) {
+      return cached;
+    }
+
+    let tokens;
+    if (piece.length <= MAX_PIECE_BYTES) {
+      tokens = bytePairEncode(piece, encoding.ranks);
+    } else {
+      tokens = [];
+      for (let start = 0; start < piece.length; start += MAX_PIECE_BYTES) {
+        tokens.push(...bytePairEncode(piece.slice(start, start + MAX_PIECE_BYTES), encoding.ranks));
+      }
+    }
+
+    if (encoding.pieceCache.size >= PIECE_CACHE_LIMIT) {
+      encoding.pieceCache.clear();
+    }
+    encoding.pieceCache.set(piece, tokens);
+    return tokens;
+  }
+
+  function encode(text, name) {
+    const encoding = encodings.get(name);
+    if (!encoding) {
+      throw new Error(`BPE encoding ${name} is not loaded`);
+    }
+    if (!text) {
+      return [];
+    }
+
+    const tokens = [];
+    for (const match of text.matchAll(encoding.pattern)) {
+      const piece = encodePiece(encoding, toBinaryString(match[0]));
+      for (let i = 0; i < piece.length; i++) {
+        tokens.push(piece[i]);
+      }
+    }
+    return tokens;
+  }
+
+  function countTokens(text, name) {
+    return encode(text, name).length;
+  }
+
+  // Calls visit(offset, tokenCount, piece) for each pre-tokenizer piece, in text order
+  function forEachPiece(text, name, visit) {
+    const encoding = encodings.get(name);
+    if (!encoding) {
+      throw new Error(`BPE encoding ${name} is not loaded`);
+    }
+    if (!text) {
+      return;
+    }
+
+    for (const match of text.matchAll(encoding.pattern)) {
+      visit(match.index, encodePiece(encoding, toBinaryString(match[0])).length, match[0]);
+    }
+  }
+
+  function getResourceUrl(path) {
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
+      return chrome.runtime.getURL(path);
+    }
+    return path;
+  }
+
+  function load(name) {
+    if (encodings.has(name)) {
+      return Promise.resolve(true);
+    }
+    if (pendingLoads.has(name)) {
+      return pendingLoads.get(name);
+    }
+    if (!ENCODING_FILES[name]) {
+      return Promise.resolve(false);
+    }
+
+    const pending = fetch(getResourceUrl(ENCODING_FILES[name]))
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((data) => {
+        encodings.set(name, createEncoding(name, data));
+        return true;
+      })
+      .catch((error) => {
+        console.debug(`ChatGPT Token Counter: failed to load ${name} vocabulary`, error);
+        return false;
+      })
+      .finally(() => {
+        pendingLoads.delete(name);
+      });
+
+    pendingLoads.set(name, pending);
+    return pending;
+  }
+
+  function isLoaded(name) {
+    return encodings.has(name);
+  }
+
+  window.ChatGPTBpeTokenizer = {
+    ENCODINGS: Object.keys(ENCODING_FILES),
+    load,
+    isLoaded,
+    encode,
+    countTokens,
+    forEachPiece
+  };
+})();
@@ -2,23 +2,41 @@
 
 /**
  * ChatGPT UX Suite - Background Service Worker
- * Handles keyboard command routing and settings management
+ * Handles keyboard command routing, settings management and conversation token estimation
  */
 
+// Chrome runs this file as a service worker and loads the shared defaults and the estimator
+// here; Firefox lists those scripts ahead of this one in its manifest's background scripts
+if (typeof importScripts === 'function' && !self.ChatGPTUxSuiteDefaults) {
+  self.window = self;
+  importScripts('sharedDefaults.js', 'bpeTokenizer.js', 'tokenEstimator.js');
+}
+
+const { DEFAULT_SETTINGS } = self.ChatGPTUxSuiteDefaults;
+
+// Alt+E / Alt+D follow the navigator's active mode; the per-target commands switch it first
 const PROMPT_NAV_COMMANDS = {
-  'jump-to-prev-user-prompt': 'previous',
-  'jump-to-next-user-prompt': 'next'
+  'jump-to-prev-user-prompt': { direction: 'previous' },
+  'jump-to-next-user-prompt': { direction: 'next' },
+  'jump-to-prev-response': { direction: 'previous', target: 'response' },
+  'jump-to-next-response': { direction: 'next', target: 'response' },
+  'jump-to-prev-code-block': { direction: 'previous', target: 'code' },
+  'jump-to-next-code-block': { direction: 'next', target: 'code' },
+  'jump-to-prev-heading': { direction: 'previous', target: 'heading' },
+  'jump-to-next-heading': { direction: 'next', target: 'heading' },
+  'jump-to-prev-bookmark': { direction: 'previous', target: 'bookmark' },
+  'jump-to-next-bookmark': { direction: 'next', target: 'bookmark' },
+  'cycle-navigation-target': { cycle: 1 },
+  'open-prompt-palette': { palette: true },
+  'navigate-back': { history: 'back' },
+  'navigate-forward': { history: 'forward' }
 };
 
 const CHATGPT_ORIGINS = ['https://chatgpt.com/', 'https://chat.openai.com/'];
 
-const DEFAULT_SETTINGS = {
-  tokenCounter: true,
-  promptNavigator: true,
-  responseStyling: true,
-  sessionTracker: true,
-  contextCollector: true,
-  soundNotification: false
+const BUDGET_BADGE_COLORS = {
+  warning: '#f59e0b',
+  danger: '#ef4444'
 };
 
 // Initialize default settings on install
@@ -60,9 +78,23 @@ function getSettings() {
   });
 }
 
-function sendJumpMessage(tabId, direction) {
+function buildNavMessage(navCommand) {
+  if (navCommand.palette) {
+    return { type: 'PROMPT_NAV_PALETTE' };
+  }
+  if (navCommand.history) {
+    return { type: 'PROMPT_NAV_HISTORY', step: navCommand.history };
+  }
+  if (navCommand.cycle) {
+    return { type: 'PROMPT_NAV_CYCLE', step: navCommand.cycle };
+  }
+  return { type: 'PROMPT_JUMP', direction: navCommand.direction, target: navCommand.target };
+}
+
+function sendJumpMessage(tabId, navCommand) {
+  const message = buildNavMessage(navCommand);
   return new Promise((resolve) => {
-    chrome.tabs.sendMessage(tabId, { type: 'PROMPT_JUMP', direction }, (response) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
       const lastError = chrome.runtime.lastError;
       if (lastError) {
         if (!lastError.message.includes('Receiving end does not exist')) {
@@ -78,8 +110,8 @@ function sendJumpMessage(tabId, direction) {
 
 // Handle keyboard commands
 chrome.commands.onCommand.addListener(async (command) => {
-  const direction = PROMPT_NAV_COMMANDS[command];
-  if (!direction) {
+  const navCommand = PROMPT_NAV_COMMANDS[command];
+  if (!navCommand) {
     return;
   }
 
@@ -100,12 +132,60 @@ chrome.commands.onCommand.addListener(async (command) => {
     return;
   }
 
-  console.debug('ChatGPT UX Suite (bg): sending jump message, direction', direction);
-  await sendJumpMessage(activeTab.id, direction);
+  console.debug('ChatGPT UX Suite (bg): sending navigation message', command);
+  await sendJumpMessage(activeTab.id, navCommand);
 });
 
+function formatBadgeTokens(tokens) {
+  if (tokens >= 1000000) return `${Math.round(tokens / 100000) / 10}M`;
+  if (tokens >= 1000) return `${Math.round(tokens / 1000)}k`;
+  return String(tokens);
+}
+
+// Tab-scoped so each ChatGPT tab shows its own conversation's budget state
+function updateBudgetBadge(tabId, status) {
+  if (!tabId || !chrome.action) {
+    return;
+  }
+  if (!status.threshold) {
+    chrome.action.setBadgeText({ tabId, text: '' });
+    return;
+  }
+  chrome.action.setBadgeBackgroundColor({ tabId, color: BUDGET_BADGE_COLORS[status.level] || BUDGET_BADGE_COLORS.warning });
+  chrome.action.setBadgeText({ tabId, text: formatBadgeTokens(status.threshold) });
+}
+
+// Conversation text from the content script's counter. The estimator is shared by every tab and
+// tabs may use different engines, so each job waits for its own engine's vocabulary and then
+// selects that engine again right before estimating: another tab may have switched it while the
+// vocabulary loaded, and switching to a loaded engine takes effect synchronously.
+function estimateTokens(message) {
+  const estimator = self.ChatGPTTokenEstimator;
+  return estimator.setEngine(message.engine).then(() => {
+    estimator.setEngine(message.engine);
+    estimator.setCalibration(message.calibration || null);
+    return (message.items || []).map((item) => ({
+      key: item.key,
+      stats: estimator.estimateTokensFromText(item.text),
+      reasoningStats: item.reasoning ? estimator.estimateTokensFromText(item.reasoning) : null
+    }));
+  });
+}
+
 // Listen for settings requests from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'TOKEN_BUDGET_STATUS') {
+    updateBudgetBadge(sender.tab && sender.tab.id, message);
+    return;
+  }
+
+  if (message.type === 'ESTIMATE_TOKENS') {
+    estimateTokens(message)
+      .then((results) => sendResponse({ results }))
+      .catch((error) => sendResponse({ error: String(error) }));
+    return true;
+  }
+
   if (message.type === 'GET_SETTINGS') {
     getSettings().then((settings) => {
       sendResponse(settings);
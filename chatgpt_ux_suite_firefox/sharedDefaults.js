@@ -0,0 +1,125 @@
+(function () {
+  'use strict';
+
+  // Defaults shared by the content script, the popup and the background script, each of which
+  // loads this file first (manifest.json, popup.html, and importScripts in the service worker)
+
+  // Context window sizes (tokens) per model; users can override entries from the popup
+  const DEFAULT_CONTEXT_WINDOWS = {
+    'gpt-4': 8192,
+    'gpt-4-32k': 32768,
+    'gpt-4o': 128000,
+    'gpt-4o-mini': 128000,
+    'gpt-4.1': 1047576,
+    'o1': 200000,
+    'o3': 200000,
+    'o4-mini': 200000,
+    'gpt-5': 400000
+  };
+  const DEFAULT_CONTEXT_MODEL = 'gpt-4o';
+
+  // API prices in USD per 1M tokens; editable from the popup
+  const DEFAULT_MODEL_PRICES = {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-32k': { input: 60, output: 120 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'o1': { input: 15, output: 60 },
+    'o3': { input: 2, output: 8 },
+    'o4-mini': { input: 1.1, output: 4.4 },
+    'gpt-5': { input: 1.25, output: 10 }
+  };
+
+  // Token counts that trigger a budget alert, for models without their own list in the popup
+  const DEFAULT_BUDGET_THRESHOLDS = [50000, 100000];
+
+  // In-page shortcuts per action: modifiers plus a KeyboardEvent.code ("Mod" means Ctrl or ⌘).
+  // The popup stores overrides in settings.keybindings; '' leaves an action unbound
+  const DEFAULT_KEYBINDINGS = {
+    'nav.previous': 'Alt+KeyE',
+    'nav.next': 'Alt+KeyD',
+    'nav.modeNext': 'Alt+Shift+KeyD',
+    'nav.modePrevious': 'Alt+Shift+KeyE',
+    'nav.palette': 'Alt+KeyG',
+    'nav.back': 'Alt+BracketLeft',
+    'nav.forward': 'Alt+BracketRight',
+    'turn.copy': 'Alt+KeyY',
+    'turn.bookmark': 'Alt+KeyB',
+    'turn.select': 'Alt+KeyS',
+    'turn.collapse': 'Alt+KeyH',
+    'turns.collapseResponses': 'Alt+Minus',
+    'turns.expandAll': 'Alt+Equal',
+    'collector.toggle': 'Alt+KeyC',
+    'collector.selectAll': 'Alt+KeyA',
+    'collector.copy': 'Mod+Enter',
+    'collector.copyPlain': 'Alt+Digit1',
+    'collector.copyJson': 'Alt+Digit2',
+    'collector.copyXml': 'Alt+Digit3',
+    'collector.exit': 'Escape'
+  };
+
+  const KEY_CODE_LABELS = {
+    BracketLeft: '[',
+    BracketRight: ']',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: "'",
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    Escape: 'Esc',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+  };
+
+  function formatKeybinding(binding) {
+    if (!binding) return '';
+    const parts = binding.split('+');
+    const code = parts.pop();
+    let key = KEY_CODE_LABELS[code] || code;
+    if (/^Key[A-Z]$/.test(code)) key = code.slice(3);
+    else if (/^Digit\d$/.test(code)) key = code.slice(5);
+    const modifiers = parts.map((part) => (part === 'Mod' ? 'Ctrl/⌘' : part === 'Meta' ? '⌘' : part));
+    return [...modifiers, key].join('+');
+  }
+
+  const DEFAULT_SETTINGS = {
+    tokenCounter: true,
+    promptNavigator: true,
+    responseStyling: true,
+    sessionTracker: true,
+    contextCollector: true,
+    soundNotification: false,
+    tokenizerEngine: 'o200k_base',
+    contextModel: DEFAULT_CONTEXT_MODEL,
+    contextModelAutoDetect: true,
+    contextWindows: {},
+    tokenAnnotations: false,
+    selectionTokenCount: true,
+    promptMinimap: false,
+    vimNavigation: false,
+    includeReasoningTokens: false,
+    tokenCalibration: null,
+    modelPrices: {},
+    budgetThresholds: {},
+    budgetAlertSound: false,
+    keybindings: {}
+  };
+
+  window.ChatGPTUxSuiteDefaults = {
+    DEFAULT_CONTEXT_WINDOWS,
+    DEFAULT_CONTEXT_MODEL,
+    DEFAULT_MODEL_PRICES,
+    DEFAULT_BUDGET_THRESHOLDS,
+    DEFAULT_SETTINGS,
+    DEFAULT_KEYBINDINGS,
+    KEY_CODE_LABELS,
+    formatKeybinding
+  };
+})();
@@ -5,7 +5,77 @@
   const CHARS_PER_TOKEN = 4;
   const BYTES_PER_TOKEN = 4;
 
+  // Heuristic token rates for content that does not tokenize like prose (tokens per non-space
+  // character), roughly midway between what o200k_base and cl100k_base produce
+  const CATEGORY_TOKEN_RATES = {
+    code: 0.37,
+    url: 0.29,
+    number: 0.5,
+    cjk: 0.85,
+    thai: 0.7
+  };
+  const EMOJI_TOKENS_PER_CODE_POINT = 2;
+
+  const CATEGORIES = ['text', 'code', 'url', 'number', 'emoji', 'cjk', 'thai'];
+
+  // Calibration fits one linear coefficient per feature: prose is words + non-space characters,
+  // other categories are non-space characters (emoji: code points). The defaults mirror the
+  // built-in heuristic and act as the prior the fit is pulled towards.
+  const DEFAULT_COEFFICIENTS = {
+    word: WORD_TOKEN_MULTIPLIER * 0.4,
+    character: 0.6 / CHARS_PER_TOKEN,
+    ...CATEGORY_TOKEN_RATES,
+    emoji: EMOJI_TOKENS_PER_CODE_POINT
+  };
+  const COEFFICIENT_KEYS = Object.keys(DEFAULT_COEFFICIENTS);
+  const CALIBRATION_ITERATIONS = 200;
+  const CALIBRATION_PRIOR_WEIGHT = 0.05;
+
+  const FENCED_CODE_PATTERN = /(```|~~~)[\s\S]*?(?:\1|$)/g;
+  const INLINE_SEGMENT_PATTERN = new RegExp([
+    '(?<url>(?:https?:\\/\\/|www\\.)[^\\s<>"\'`)\\]]+)',
+    '(?<number>\\d[\\d,._]{4,}\\d)',
+    '(?<emoji>\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier}|\\u200D\\p{Extended_Pictographic})*)',
+    '(?<cjk>[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}\\u3000-\\u303f\\uff00-\\uffef]+)',
+    '(?<thai>\\p{Script=Thai}+)'
+  ].join('|'), 'gu');
+
+  // Attachments: images use the vision tile formula (fit within 2048px, shortest side 768px,
+  // 170 tokens per 512px tile plus 85 base); other types use per-format density guesses
+  const IMAGE_BASE_TOKENS = 85;
+  const IMAGE_TILE_TOKENS = 170;
+  const IMAGE_TILE_SIZE = 512;
+  const IMAGE_MAX_SIDE = 2048;
+  const IMAGE_SHORT_SIDE = 768;
+  const DEFAULT_IMAGE_SIDE = 1024;
+  const PDF_TOKENS_PER_PAGE = 500;
+  const PDF_BYTES_PER_PAGE = 60 * 1024;
+  const DOCUMENT_BYTES_PER_TOKEN = 6;
+  const SPREADSHEET_TOKENS_PER_CELL = 2.5;
+  const SPREADSHEET_BYTES_PER_CELL = {
+    csv: 8,
+    tsv: 8,
+    default: 16
+  };
+
+  const FILE_TYPE_EXTENSIONS = {
+    image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'heic', 'heif', 'tif', 'tiff'],
+    pdf: ['pdf'],
+    spreadsheet: ['csv', 'tsv', 'xlsx', 'xls', 'xlsm', 'ods', 'numbers'],
+    document: ['doc', 'docx', 'odt', 'rtf', 'ppt', 'pptx', 'odp', 'pages', 'key'],
+    text: ['txt', 'md', 'markdown', 'json', 'jsonl', 'xml', 'html', 'htm', 'css', 'js', 'jsx', 'ts', 'tsx', 'py', 'ipynb',
+      'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'hpp', 'cs', 'php', 'sh', 'yaml', 'yml', 'toml', 'ini', 'sql',
+      'log', 'svg', 'tex', 'r', 'swift', 'scala', 'lua', 'pl']
+  };
+
+  const HEURISTIC_ENGINE = 'heuristic';
+  const DEFAULT_ENGINE = 'o200k_base';
+
+  const bpeTokenizer = window.ChatGPTBpeTokenizer;
+
   let intlWordSegmenter = null;
+  let requestedEngine = HEURISTIC_ENGINE;
+  let calibratedCoefficients = null;
 
   function getWordSegmenter() {
     if (intlWordSegmenter !== null) {
@@ -44,12 +114,238 @@
     return count;
   }
 
+  // The BPE engine is only used once its vocabulary has loaded; until then (or if loading
+  // fails) estimates come from the word/character heuristic.
+  function getActiveEngine() {
+    if (requestedEngine !== HEURISTIC_ENGINE && bpeTokenizer && bpeTokenizer.isLoaded(requestedEngine)) {
+      return requestedEngine;
+    }
+    return HEURISTIC_ENGINE;
+  }
+
+  function setEngine(engine) {
+    const name = engine || DEFAULT_ENGINE;
+    if (name === HEURISTIC_ENGINE || !bpeTokenizer || !bpeTokenizer.ENCODINGS.includes(name)) {
+      requestedEngine = HEURISTIC_ENGINE;
+      return Promise.resolve(HEURISTIC_ENGINE);
+    }
+
+    requestedEngine = name;
+    return bpeTokenizer.load(name).then(() => getActiveEngine());
+  }
+
+  function createBreakdown() {
+    const breakdown = {};
+    CATEGORIES.forEach((category) => {
+      breakdown[category] = 0;
+    });
+    return breakdown;
+  }
+
+  function pushTextSegments(segments, text, start, end) {
+    if (end <= start) {
+      return;
+    }
+
+    let cursor = start;
+    for (const match of text.slice(start, end).matchAll(INLINE_SEGMENT_PATTERN)) {
+      const category = Object.keys(match.groups).find((name) => match.groups[name] !== undefined);
+      const matchStart = start + match.index;
+      if (matchStart > cursor) {
+        segments.push({ category: 'text', start: cursor, end: matchStart });
+      }
+      segments.push({ category, start: matchStart, end: matchStart + match[0].length });
+      cursor = matchStart + match[0].length;
+    }
+    if (cursor < end) {
+      segments.push({ category: 'text', start: cursor, end });
+    }
+  }
+
+  // Splits text into ordered, non-overlapping segments that cover all of it
+  function segmentText(text) {
+    const segments = [];
+    let cursor = 0;
+    for (const match of text.matchAll(FENCED_CODE_PATTERN)) {
+      pushTextSegments(segments, text, cursor, match.index);
+      segments.push({ category: 'code', start: match.index, end: match.index + match[0].length });
+      cursor = match.index + match[0].length;
+    }
+    pushTextSegments(segments, text, cursor, text.length);
+    return segments;
+  }
+
+  function measureHeuristicFeatures(text, segments) {
+    const features = {};
+    COEFFICIENT_KEYS.forEach((key) => {
+      features[key] = 0;
+    });
+
+    segments.forEach((segment) => {
+      const content = text.slice(segment.start, segment.end);
+      const characters = content.replace(/\s+/g, '').length;
+      if (segment.category === 'text') {
+        features.word += countWords(content);
+        features.character += characters;
+      } else if (segment.category === 'emoji') {
+        features.emoji += Array.from(content).length;
+      } else {
+        features[segment.category] += characters;
+      }
+    });
+    return features;
+  }
+
+  // Without calibration, prose keeps the word/character blend; with it, everything is linear
+  function breakdownFromFeatures(features, coefficients) {
+    const breakdown = createBreakdown();
+    if (features.character) {
+      breakdown.text = coefficients
+        ? Math.max(1, Math.round(features.word * coefficients.word + features.character * coefficients.character))
+        : estimateHeuristicTokens(features.word, features.character);
+    }
+    const rates = coefficients || DEFAULT_COEFFICIENTS;
+    CATEGORIES.forEach((category) => {
+      if (category !== 'text') {
+        breakdown[category] = Math.ceil(features[category] * rates[category]);
+      }
+    });
+    return breakdown;
+  }
+
+  function estimateHeuristicBreakdown(text, segments) {
+    return breakdownFromFeatures(measureHeuristicFeatures(text, segments), calibratedCoefficients);
+  }
+
+  // Each BPE piece is attributed to the segment its first non-space character falls in,
+  // so the breakdown sums to the exact count
+  function countBpeBreakdown(text, segments, engine) {
+    const breakdown = createBreakdown();
+    let segmentIndex = 0;
+    bpeTokenizer.forEachPiece(text, engine, (offset, count, piece) => {
+      const leadingSpace = piece.length - piece.trimStart().length;
+      const position = offset + Math.min(leadingSpace, piece.length - 1);
+      while (segmentIndex < segments.length - 1 && position >= segments[segmentIndex].end) {
+        segmentIndex += 1;
+      }
+      const category = segments.length ? segments[segmentIndex].category : 'text';
+      breakdown[category] += count;
+    });
+    return breakdown;
+  }
+
+  function sumBreakdown(breakdown) {
+    return CATEGORIES.reduce((sum, category) => sum + breakdown[category], 0);
+  }
+
+  function estimateHeuristicTokens(words, characters) {
+    const byWord = Math.ceil((words || 1) * WORD_TOKEN_MULTIPLIER);
+    const byCharacter = Math.ceil(characters / CHARS_PER_TOKEN);
+    const blended = Math.round((byWord * 0.4) + (byCharacter * 0.6));
+    return Math.max(1, Math.max(byWord, byCharacter, blended));
+  }
+
+  function meanRelativeError(rows, coefficients) {
+    const total = rows.reduce((sum, row) => {
+      const estimate = Math.max(1, sumBreakdown(breakdownFromFeatures(row.features, coefficients)));
+      return sum + Math.abs(estimate - row.tokens) / row.tokens;
+    }, 0);
+    return total / rows.length;
+  }
+
+  // Non-negative coordinate descent on relative squared error, with a light ridge towards the
+  // defaults so features that few samples exercise stay sensible. Unexercised features keep their default.
+  function fitCoefficients(rows) {
+    const weights = rows.map((row) => 1 / (row.tokens * row.tokens));
+    const coefficients = { ...DEFAULT_COEFFICIENTS };
+    const scale = {};
+    COEFFICIENT_KEYS.forEach((key) => {
+      scale[key] = rows.reduce((sum, row, i) => sum + weights[i] * row.features[key] * row.features[key], 0);
+    });
+    const predictions = rows.map((row) => COEFFICIENT_KEYS.reduce((sum, key) => sum + coefficients[key] * row.features[key], 0));
+
+    for (let iteration = 0; iteration < CALIBRATION_ITERATIONS; iteration++) {
+      COEFFICIENT_KEYS.forEach((key) => {
+        if (!scale[key]) {
+          return;
+        }
+        let numerator = CALIBRATION_PRIOR_WEIGHT * scale[key] * DEFAULT_COEFFICIENTS[key];
+        rows.forEach((row, i) => {
+          const x = row.features[key];
+          if (x) {
+            numerator += weights[i] * x * (row.tokens - (predictions[i] - coefficients[key] * x));
+          }
+        });
+        const next = Math.max(0, numerator / (scale[key] * (1 + CALIBRATION_PRIOR_WEIGHT)));
+        rows.forEach((row, i) => {
+          predictions[i] += (next - coefficients[key]) * row.features[key];
+        });
+        coefficients[key] = next;
+      });
+    }
+
+    COEFFICIENT_KEYS.forEach((key) => {
+      coefficients[key] = Math.round(coefficients[key] * 10000) / 10000;
+    });
+    return coefficients;
+  }
+
+  // samples: [{ text, tokens }] with tokens taken from the API's usage numbers
+  function calibrate(samples) {
+    const rows = (samples || []).map((sample) => {
+      const text = String((sample && sample.text) || '').trim();
+      return {
+        features: measureHeuristicFeatures(text, segmentText(text)),
+        tokens: Number(sample && sample.tokens)
+      };
+    }).filter((row) => row.tokens > 0 && COEFFICIENT_KEYS.some((key) => row.features[key] > 0));
+
+    if (!rows.length) {
+      throw new Error('No usable samples: each needs text and a positive token count');
+    }
+
+    const coefficients = fitCoefficients(rows);
+    const errorBefore = meanRelativeError(rows, null);
+    const errorAfter = meanRelativeError(rows, coefficients);
+    return {
+      coefficients,
+      samples: rows.length,
+      errorBefore,
+      errorAfter,
+      // A small or noisy sample set can fit worse than the defaults; callers should not apply that
+      improved: errorAfter < errorBefore
+    };
+  }
+
+  function setCalibration(coefficients) {
+    if (!coefficients || typeof coefficients !== 'object') {
+      calibratedCoefficients = null;
+      return false;
+    }
+    const next = { ...DEFAULT_COEFFICIENTS };
+    COEFFICIENT_KEYS.forEach((key) => {
+      const value = Number(coefficients[key]);
+      if (Number.isFinite(value) && value >= 0) {
+        next[key] = value;
+      }
+    });
+    calibratedCoefficients = next;
+    return true;
+  }
+
+  function isCalibrated() {
+    return calibratedCoefficients !== null;
+  }
+
   function estimateTokensFromText(text) {
+    const engine = getActiveEngine();
     if (!text) {
       return {
         tokens: 0,
         words: 0,
-        characters: 0
+        characters: 0,
+        engine,
+        breakdown: createBreakdown()
       };
     }
 
@@ -58,7 +354,9 @@
       return {
         tokens: 0,
         words: 0,
-        characters: 0
+        characters: 0,
+        engine,
+        breakdown: createBreakdown()
       };
     }
 
@@ -66,16 +364,21 @@
     const characters = cleaned.replace(/\s+/g, '').length;
     const graphemes = Array.from(cleaned).length;
 
-    const byWord = Math.ceil((words || 1) * WORD_TOKEN_MULTIPLIER);
-    const byCharacter = Math.ceil(characters / CHARS_PER_TOKEN);
-    const blended = Math.round((byWord * 0.4) + (byCharacter * 0.6));
-    const tokens = Math.max(1, Math.max(byWord, byCharacter, blended));
+    // Segment the original text: code fences need their newlines, and for BPE whitespace is tokens too
+    const trimmed = text.trim();
+    const segments = segmentText(trimmed);
+    const breakdown = engine === HEURISTIC_ENGINE
+      ? estimateHeuristicBreakdown(trimmed, segments)
+      : countBpeBreakdown(trimmed, segments, engine);
+    const tokens = Math.max(1, sumBreakdown(breakdown));
 
     return {
       tokens,
       words,
       characters,
-      graphemes
+      graphemes,
+      engine,
+      breakdown
     };
   }
 
@@ -122,6 +425,100 @@
     }
   }
 
+  function getFileExtension(name) {
+    const match = (name || '').trim().match(/\.([a-z0-9]{1,8})$/i);
+    return match ? match[1].toLowerCase() : '';
+  }
+
+  function detectFileType(name, mimeType) {
+    const mime = (mimeType || '').toLowerCase();
+    if (mime.startsWith('image/') && mime !== 'image/svg+xml') return 'image';
+    if (mime === 'application/pdf') return 'pdf';
+    if (/csv|tab-separated|spreadsheet|excel/.test(mime)) return 'spreadsheet';
+    if (/wordprocessing|msword|presentation|powerpoint|rtf/.test(mime)) return 'document';
+    if (mime.startsWith('text/') || /json|xml|javascript/.test(mime)) return 'text';
+
+    const extension = getFileExtension(name);
+    const fileType = Object.keys(FILE_TYPE_EXTENSIONS).find((type) => FILE_TYPE_EXTENSIONS[type].includes(extension));
+    return fileType || 'unknown';
+  }
+
+  function estimateImageTokens(width, height) {
+    let w = width > 0 ? width : DEFAULT_IMAGE_SIDE;
+    let h = height > 0 ? height : DEFAULT_IMAGE_SIDE;
+
+    const fitScale = Math.min(1, IMAGE_MAX_SIDE / Math.max(w, h));
+    w *= fitScale;
+    h *= fitScale;
+    const shortScale = Math.min(1, IMAGE_SHORT_SIDE / Math.min(w, h));
+    w = Math.round(w * shortScale);
+    h = Math.round(h * shortScale);
+
+    const tiles = Math.ceil(w / IMAGE_TILE_SIZE) * Math.ceil(h / IMAGE_TILE_SIZE);
+    return {
+      tokens: IMAGE_BASE_TOKENS + tiles * IMAGE_TILE_TOKENS,
+      tiles,
+      width: w,
+      height: h
+    };
+  }
+
+  // attachment: { name, mimeType, bytes, width, height, previewDimensions, pages }; returns { tokens, fileType, method }
+  function estimateAttachmentTokens(attachment) {
+    const { name, mimeType, width, height, previewDimensions, pages } = attachment || {};
+    const bytes = Number(attachment && attachment.bytes) || 0;
+    const fileType = detectFileType(name, mimeType);
+
+    switch (fileType) {
+      case 'image': {
+        const image = estimateImageTokens(width, height);
+        let assumed = width > 0 && height > 0 ? '' : ', size assumed';
+        if (!assumed && previewDimensions) assumed = ', measured on the preview (the upload may be larger)';
+        return {
+          tokens: image.tokens,
+          fileType,
+          method: `image: ${image.tiles} tile${image.tiles === 1 ? '' : 's'} at ${image.width}×${image.height}${assumed}`
+        };
+      }
+      case 'pdf': {
+        const pageCount = pages > 0 ? pages : Math.max(1, Math.round(bytes / PDF_BYTES_PER_PAGE));
+        return {
+          tokens: pageCount * PDF_TOKENS_PER_PAGE,
+          fileType,
+          method: `pdf: ${pages > 0 ? '' : '~'}${pageCount} page${pageCount === 1 ? '' : 's'} × ${PDF_TOKENS_PER_PAGE}`
+        };
+      }
+      case 'spreadsheet': {
+        const extension = getFileExtension(name);
+        const bytesPerCell = SPREADSHEET_BYTES_PER_CELL[extension] || SPREADSHEET_BYTES_PER_CELL.default;
+        const cells = Math.max(1, Math.round(bytes / bytesPerCell));
+        return {
+          tokens: Math.ceil(cells * SPREADSHEET_TOKENS_PER_CELL),
+          fileType,
+          method: `spreadsheet: ~${cells.toLocaleString()} cells`
+        };
+      }
+      case 'document':
+        return {
+          tokens: bytes ? Math.max(1, Math.ceil(bytes / DOCUMENT_BYTES_PER_TOKEN)) : 0,
+          fileType,
+          method: `document: bytes/${DOCUMENT_BYTES_PER_TOKEN}`
+        };
+      case 'text':
+        return {
+          tokens: estimateTokensFromBytes(bytes),
+          fileType,
+          method: `text: bytes/${BYTES_PER_TOKEN}`
+        };
+      default:
+        return {
+          tokens: estimateTokensFromBytes(bytes),
+          fileType,
+          method: `unknown type: bytes/${BYTES_PER_TOKEN}`
+        };
+    }
+  }
+
   function estimateTokensFromFileSizeString(sizeText) {
     const bytes = parseFileSizeToBytes(sizeText);
     return {
@@ -131,11 +528,23 @@
   }
 
   window.ChatGPTTokenEstimator = {
+    HEURISTIC_ENGINE,
+    DEFAULT_ENGINE,
+    CATEGORIES,
+    DEFAULT_COEFFICIENTS,
+    setEngine,
+    getActiveEngine,
     estimateTokensFromText,
     estimateTokensFromFileSizeString,
     parseFileSizeToBytes,
     estimateTokensFromBytes,
-    countWords
+    estimateAttachmentTokens,
+    detectFileType,
+    calibrate,
+    setCalibration,
+    isCalibrated,
+    countWords,
+    segmentText
   };
 })();
 
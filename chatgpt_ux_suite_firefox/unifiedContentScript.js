@@ -12,14 +12,9 @@
   // =============================================================================
   // Settings Management
   // =============================================================================
-  const DEFAULT_SETTINGS = {
-    tokenCounter: true,
-    promptNavigator: true,
-    responseStyling: true,
-    sessionTracker: true,
-    contextCollector: true,
-    soundNotification: false
-  };
+  const { DEFAULT_CONTEXT_WINDOWS, DEFAULT_CONTEXT_MODEL, DEFAULT_MODEL_PRICES, DEFAULT_BUDGET_THRESHOLDS, DEFAULT_SETTINGS } = window.ChatGPTUxSuiteDefaults;
+  const { DEFAULT_KEYBINDINGS, formatKeybinding } = window.ChatGPTUxSuiteDefaults;
+
 
   // Chime presets - designed for pleasant, luxurious notification sounds
   // All use low frequencies, consonant intervals, and reduced volume for comfort
@@ -64,7 +59,7 @@
     return new Promise((resolve) => {
       if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
         chrome.storage.sync.get({ ...DEFAULT_SETTINGS, selectedChime: DEFAULT_CHIME }, (result) => {
-          currentSettings = result;
+          currentSettings = { ...DEFAULT_SETTINGS, ...result };
           selectedChime = result.selectedChime || DEFAULT_CHIME;
           resolve(result);
         });
@@ -92,6 +87,36 @@
   // =============================================================================
   // Shared Utilities
   // =============================================================================
+  function getKeybinding(action) {
+    const overrides = currentSettings.keybindings || {};
+    if (Object.prototype.hasOwnProperty.call(overrides, action)) return overrides[action] || '';
+    return DEFAULT_KEYBINDINGS[action] || '';
+  }
+
+  function matchesKeybinding(event, action) {
+    const binding = getKeybinding(action);
+    if (!binding) return false;
+    const parts = binding.split('+');
+    const code = parts.pop();
+    if (event.code !== code) return false;
+    if (parts.includes('Mod')) {
+      if (!event.ctrlKey && !event.metaKey) return false;
+    } else if (event.ctrlKey !== parts.includes('Ctrl') || event.metaKey !== parts.includes('Meta')) {
+      return false;
+    }
+    return event.altKey === parts.includes('Alt') && event.shiftKey === parts.includes('Shift');
+  }
+
+  // " (Alt+E)" for tooltips, or nothing when the action is unbound
+  function shortcutHint(action) {
+    const label = formatKeybinding(getKeybinding(action));
+    return label ? ` (${label})` : '';
+  }
+
+  function isEditableTarget(target) {
+    return Boolean(target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable));
+  }
+
   function getConversationMain() {
     return (
       document.querySelector('main#main') ||
@@ -100,6 +125,27 @@
     );
   }
 
+  function getConversationId() {
+    const match = location.pathname.match(/\/c\/([a-f0-9-]+)/i);
+    return match ? match[1] : null;
+  }
+
+  // "Thought for 12s" / "Thinking…": the label ChatGPT puts on a reasoning disclosure
+  const REASONING_LABEL_PATTERN = /^(?:Thought for \d+[^\n]*|Thinking(?:\.{0,3}|…))$/i;
+  const REASONING_TEXT_START = /^Thought for \d+\s*(?:s|sec|seconds?|m|min|minutes?|h|hours?)\b/i;
+
+  // Answers use <details> too, so a disclosure only counts as reasoning when it is marked as such
+  // (data-testid) or its summary carries the reasoning label
+  function isThinkingPanel(element) {
+    if (!element) return false;
+    const testId = (element.getAttribute('data-testid') || '').toLowerCase();
+    if (testId.includes('reasoning') || testId.includes('thinking')) return true;
+    const text = (element.textContent || '').trim();
+    if (REASONING_TEXT_START.test(text) || REASONING_LABEL_PATTERN.test(text)) return true;
+    const summary = element.tagName === 'SUMMARY' ? element : element.querySelector('summary');
+    return Boolean(summary && REASONING_LABEL_PATTERN.test((summary.textContent || '').trim()));
+  }
+
   function isElementVisible(el) {
     if (!el) return false;
     const rect = el.getBoundingClientRect();
@@ -153,13 +199,124 @@
     return turns;
   }
 
+  // The Prompt Navigator's controls inside turns; the token counter skips them as page chrome
+  const BOOKMARK_TOGGLE_CLASS = 'pn-bookmark-toggle';
+  const COLLAPSE_TOGGLE_CLASS = 'pn-collapse-toggle';
+  const COLLAPSE_SUMMARY_CLASS = 'pn-collapse-summary';
+  const TURN_CONTROLS_SELECTOR = `.${BOOKMARK_TOGGLE_CLASS}, .${COLLAPSE_TOGGLE_CLASS}, .${COLLAPSE_SUMMARY_CLASS}`;
+
+  // =============================================================================
+  // Background Token Estimation
+  // =============================================================================
+  // All text is estimated by the extension's background script, which alone loads the BPE
+  // vocabularies, so tokenizing runs off the page's main thread and under the extension's own origin
+  // and CSP. If messaging fails (e.g. the extension was reloaded under the page) or a job stops
+  // answering, jobs use the page's heuristic estimator for a while and then try the background again.
+  const BackgroundEstimator = (function () {
+    const JOB_TIMEOUT_MS = 15000;
+    const RETRY_DELAY_MS = 30000;
+
+    let retryAt = 0;
+    let config = { engine: null, calibration: null };
+
+    // Marked so callers can replace these estimates once the background answers again
+    function estimateLocally(items) {
+      const estimator = window.ChatGPTTokenEstimator;
+      return items.map((item) => ({
+        key: item.key,
+        stats: estimator.estimateTokensFromText(item.text),
+        reasoningStats: item.reasoning ? estimator.estimateTokensFromText(item.reasoning) : null,
+        onPage: true
+      }));
+    }
+
+    function isActive() {
+      return Date.now() >= retryAt && typeof chrome !== 'undefined' && Boolean(chrome.runtime && chrome.runtime.sendMessage);
+    }
+
+    function fallBack(reason) {
+      if (Date.now() < retryAt) return;
+      retryAt = Date.now() + RETRY_DELAY_MS;
+      console.debug('ChatGPT UX Suite: background token estimation unavailable, estimating on the page for now', reason);
+    }
+
+    function configure(next) {
+      config = { ...config, ...next };
+    }
+
+    // items: [{ key, text, reasoning }] -> Promise<[{ key, stats, reasoningStats }]>
+    // The engine and calibration travel with each job since the background serves every tab
+    function estimate(items) {
+      if (!items.length) return Promise.resolve([]);
+      if (!isActive()) return Promise.resolve(estimateLocally(items));
+      return new Promise((resolve) => {
+        let settled = false;
+        const finish = (results) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          resolve(results || estimateLocally(items));
+        };
+        const timer = setTimeout(() => {
+          fallBack('timed out');
+          finish(null);
+        }, JOB_TIMEOUT_MS);
+        try {
+          chrome.runtime.sendMessage({ type: 'ESTIMATE_TOKENS', items, ...config }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+              fallBack(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'no response');
+              finish(null);
+              return;
+            }
+            finish(Array.isArray(response.results) ? response.results : null);
+          });
+        } catch (error) {
+          fallBack(error);
+          finish(null);
+        }
+      });
+    }
+
+    return { configure, estimate, isActive };
+  })();
+
   // =============================================================================
   // Feature 1: Token Counter
   // =============================================================================
   const TokenCounter = (function () {
     const COUNTER_ID = 'chatgpt-token-counter';
+    const BADGE_CLASS = 'token-counter__message-badge';
+    const ANNOTATED_CLASS = 'token-counter__annotated-turn';
+    const OVERFLOW_CLASS = 'token-counter__overflowed-turn';
+    const OVERFLOW_DIVIDER_CLASS = 'token-counter__overflow-divider';
+    const TOAST_STACK_ID = 'chatgpt-token-counter-toasts';
+    const TOAST_CLASS = 'token-counter__toast';
+    const TOAST_DURATION_MS = 6000;
+    const BUDGET_STORAGE_PREFIX = 'chatgptTokenBudgetAlerts_';
+    const SELECTION_COUNTER_ID = 'chatgpt-selection-token-counter';
+    const SELECTION_DEBOUNCE_MS = 150;
+    const SELECTION_COPY_FEEDBACK_MS = 1200;
+    const STATS_CACHE_LIMIT = 5000;
+    const OWN_NODE_SELECTOR = [`#${COUNTER_ID}`, `#${TOAST_STACK_ID}`, `#${SELECTION_COUNTER_ID}`, `.${BADGE_CLASS}`, `.${OVERFLOW_DIVIDER_CLASS}`, TURN_CONTROLS_SELECTOR].join(', ');
+    const HASH_SKIPPED_SELECTOR = [`.${BADGE_CLASS}`, TURN_CONTROLS_SELECTOR].join(', ');
     const DETAILS_STORAGE_KEY = 'chatgptTokenCounterDetails';
+    const HISTORY_STORAGE_PREFIX = 'chatgptTokenHistory_';
+    const HISTORY_LIMIT = 500;
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const SPARKLINE_SIZE = { width: 120, height: 18 };
+    const HISTORY_CHART_SIZE = { width: 220, height: 72 };
+    const HISTORY_SERIES = [
+      ['totalTokens', 'Total'],
+      ['userTokens', 'You'],
+      ['assistantTokens', 'ChatGPT']
+    ];
     const UPDATE_DEBOUNCE_MS = 400;
+    const DRAFT_DEBOUNCE_MS = 150;
+    const COMPOSER_SELECTORS = [
+      '#prompt-textarea',
+      'form [contenteditable="true"]',
+      'form textarea'
+    ];
     const ATTACHMENT_SELECTORS = [
       '[data-testid*="attachment"]',
       '[data-testid*="upload"]',
@@ -169,15 +326,55 @@
       '[data-file-name]',
       '[data-filename]',
       '[aria-label*="attachment" i]',
-      '[aria-label*="uploaded" i]'
+      '[aria-label*="uploaded" i]',
+      'img[alt*="uploaded" i]'
     ];
     const SIZE_PATTERN = /([\d.,]+\s*(?:[kmgt]i?b|[kmgt]?b|bytes?))/i;
+    const FILE_NAME_PATTERN = /[^\s/\\]+\.[a-z0-9]{1,8}\b/i;
+    const PAGE_COUNT_PATTERN = /(\d+)\s*pages?\b/i;
+    const REASONING_PANEL_SELECTORS = 'details, [data-testid*="reasoning" i], [data-testid*="thinking" i]';
+    const GAUGE_WARNING_RATIO = 0.7;
+    const GAUGE_DANGER_RATIO = 0.9;
+    const MODEL_SWITCHER_SELECTORS = [
+      '[data-testid="model-switcher-dropdown-button"]',
+      'button[aria-label*="model selector" i]'
+    ];
+    const ENGINE_LABELS = {
+      heuristic: 'est.',
+      o200k_base: 'o200k',
+      cl100k_base: 'cl100k'
+    };
 
     let pendingUpdate = null;
+    let pendingDraftUpdate = null;
     let lastSignature = '';
+    let lastSnapshot = null;
     let mutationObserver = null;
     let counterDismissed = false;
     let enabled = true;
+    let activeEngine = null;
+    let annotationsEnabled = false;
+    let reasoningIncluded = false;
+    let activeCalibrationKey = 'null';
+    let calibrationSamples = 0;
+    let history = { id: null, points: [] };
+    let overflowWarnedFor = null;
+    const toastTimers = new Map();
+    let lastBudgetStatusKey = '';
+    let selectionCounterEnabled = true;
+    let pendingSelectionUpdate = null;
+    let selectionSequence = 0;
+    let selectionText = '';
+    let draftSequence = 0;
+    let lastDraft = null;
+    // Extraction results per article element, and estimates keyed by message id + content hash
+    const articleEntries = new WeakMap();
+    const dirtyArticles = new WeakSet();
+    const statsCache = new Map();
+    let statsCacheVersion = 0;
+    let pageEstimatesCached = false;
+    let updateSequence = 0;
+    let lastUpdateMetrics = null;
 
     const estimator = window.ChatGPTTokenEstimator;
 
@@ -204,6 +401,8 @@
         const bytes = estimator.parseFileSizeToBytes(sizeText);
         if (bytes) return { sizeText, bytes, source };
       }
+      // A bare number means bytes only in a size attribute; in visible text it is a page count, a name…
+      if (source === 'text') return null;
       const numeric = string.replace(/[^0-9.]/g, '');
       if (!numeric) return null;
       const bytes = Number(numeric);
@@ -255,7 +454,14 @@
         'user-token-count': '0 tokens',
         'assistant-token-count': '0 tokens',
         'word-count': '0 words',
-        'attachment-count': '0 attachments'
+        'attachment-count': '0 attachments',
+        'context-usage': '—',
+        'draft-token-count': '0 tokens',
+        'content-breakdown': '—',
+        'conversation-cost': '$0.00',
+        'reasoning-token-count': '0 tokens',
+        'resend-cost': '$0.00',
+        'history-summary': '—'
       };
       value.textContent = defaults[dataRole] || '0';
       row.appendChild(label);
@@ -343,26 +549,82 @@
       const countValue = document.createElement('strong');
       countValue.dataset.role = 'token-count';
       countValue.textContent = '~0';
+      const engineBadge = document.createElement('span');
+      engineBadge.className = 'token-counter__engine';
+      engineBadge.dataset.role = 'token-engine';
+      engineBadge.textContent = ENGINE_LABELS.heuristic;
       primary.appendChild(countLabel);
       primary.appendChild(countValue);
+      const draftSummary = document.createElement('span');
+      draftSummary.className = 'token-counter__draft';
+      draftSummary.dataset.role = 'draft-summary';
+      draftSummary.hidden = true;
+      primary.appendChild(engineBadge);
+      primary.appendChild(draftSummary);
+
+      const gauge = document.createElement('div');
+      gauge.className = 'token-counter__gauge';
+      gauge.dataset.role = 'context-gauge';
+      const gaugeFill = document.createElement('div');
+      gaugeFill.className = 'token-counter__gauge-fill';
+      gauge.appendChild(gaugeFill);
 
       const meta = document.createElement('div');
       meta.className = 'token-counter__meta';
-      [['You', 'user-token-count'], ['ChatGPT', 'assistant-token-count'], ['Words', 'word-count'], ['Attachments', 'attachment-count']]
+      [['Context', 'context-usage'], ['Draft', 'draft-token-count'], ['You', 'user-token-count'], ['ChatGPT', 'assistant-token-count'], ['Reasoning', 'reasoning-token-count'], ['Words', 'word-count'], ['Content', 'content-breakdown'], ['Attachments', 'attachment-count']]
         .forEach(([label, role]) => meta.appendChild(createMetaRow(label, role)));
 
+      const cost = document.createElement('div');
+      cost.className = 'token-counter__meta token-counter__cost';
+      [['API cost', 'conversation-cost'], ['Resend', 'resend-cost']]
+        .forEach(([label, role]) => cost.appendChild(createMetaRow(label, role)));
+
       const details = document.createElement('div');
       details.className = 'token-counter__details';
       details.hidden = true;
       details.appendChild(meta);
+      details.appendChild(cost);
+      details.appendChild(createHistorySection());
 
       container.appendChild(header);
       container.appendChild(primary);
+      container.appendChild(gauge);
       container.appendChild(details);
       document.body.appendChild(container);
       return container;
     }
 
+    function createHistorySection() {
+      const section = document.createElement('div');
+      section.className = 'token-counter__history';
+      section.dataset.role = 'history';
+      section.hidden = true;
+
+      const row = createMetaRow('History', 'history-summary');
+      const sparkline = document.createElement('button');
+      sparkline.type = 'button';
+      sparkline.className = 'token-counter__sparkline';
+      sparkline.dataset.role = 'history-sparkline';
+      sparkline.setAttribute('aria-expanded', 'false');
+      sparkline.title = 'Show history chart';
+
+      const chart = document.createElement('div');
+      chart.className = 'token-counter__history-chart';
+      chart.dataset.role = 'history-chart';
+      chart.hidden = true;
+
+      sparkline.addEventListener('click', () => {
+        chart.hidden = !chart.hidden;
+        sparkline.setAttribute('aria-expanded', chart.hidden ? 'false' : 'true');
+        sparkline.title = chart.hidden ? 'Show history chart' : 'Hide history chart';
+      });
+
+      section.appendChild(row);
+      section.appendChild(sparkline);
+      section.appendChild(chart);
+      return section;
+    }
+
     function ensureCounterElement() {
       if (counterDismissed || !enabled) return null;
       let container = document.getElementById(COUNTER_ID);
@@ -373,12 +635,56 @@
       return container;
     }
 
+    // Rendered code blocks lose their markdown fences; restore them so the estimator can
+    // recognise code (and so BPE counts match what the API would see)
+    function fenceCodeBlocks(wrapper) {
+      wrapper.querySelectorAll('pre').forEach((pre) => {
+        const code = pre.querySelector('code');
+        const languageClass = code ? Array.from(code.classList).find((name) => name.startsWith('language-')) : null;
+        const language = languageClass ? languageClass.slice('language-'.length) : '';
+        const body = (code || pre).textContent.replace(/\n$/, '');
+        pre.replaceWith(document.createTextNode(`\n\`\`\`${language}\n${body}\n\`\`\`\n`));
+      });
+    }
+
+    function normalizeExtractedText(node) {
+      return (node.innerText || node.textContent || '').replace(/\u00a0/g, ' ').replace(/\s+\n/g, '\n').replace(/\n{3,}/g, '\n\n').replace(/[ \t]{2,}/g, ' ').trim();
+    }
+
+    // Reasoning panels ("Thought for 12s" disclosures) are detached from the response and measured on
+    // their own; their "Thought for…"/"Thinking…" labels are UI chrome and dropped
+    function extractReasoningText(wrapper) {
+      const panels = Array.from(wrapper.querySelectorAll(REASONING_PANEL_SELECTORS))
+        .filter((el) => isThinkingPanel(el))
+        .filter((el, index, all) => !all.some((other) => other !== el && other.contains(el)));
+      const reasoning = panels.map((panel) => {
+        panel.remove();
+        panel.querySelectorAll('summary').forEach((summary) => summary.remove());
+        // Only leaves can be a bare label, which keeps this to one textContent read per text element
+        panel.querySelectorAll('*').forEach((el) => {
+          if (!el.firstElementChild && REASONING_LABEL_PATTERN.test((el.textContent || '').trim())) el.remove();
+        });
+        return normalizeExtractedText(panel);
+      }).filter(Boolean).join('\n\n');
+      // A collapsed panel can be just its label, and ChatGPT puts it first in the turn; follow the
+      // leading elements rather than testing every element's text
+      for (let el = wrapper.firstElementChild; el; el = el.firstElementChild) {
+        if (REASONING_LABEL_PATTERN.test((el.textContent || '').trim())) {
+          el.remove();
+          break;
+        }
+      }
+      return reasoning;
+    }
+
     function extractArticleText(article) {
       const wrapper = document.createElement('div');
       wrapper.innerHTML = article.innerHTML;
       wrapper.querySelectorAll('button, svg, style, script, textarea, input, select, [role="button"], [aria-hidden="true"], [hidden]')
         .forEach((el) => el.remove());
-      return (wrapper.innerText || wrapper.textContent || '').replace(/\u00a0/g, ' ').replace(/\s+\n/g, '\n').replace(/\n{3,}/g, '\n\n').replace(/[ \t]{2,}/g, ' ').trim();
+      fenceCodeBlocks(wrapper);
+      const reasoning = extractReasoningText(wrapper);
+      return { text: normalizeExtractedText(wrapper), reasoning };
     }
 
     function gatherAttachments(root) {
@@ -389,62 +695,195 @@
       elements.forEach((element) => {
         const anchor = element.closest('[data-testid*="attachment"]') || element.closest('[data-testid*="file"]') || element;
         const candidates = [];
-        ['data-file-name', 'data-filename', 'title', 'aria-label'].forEach((attr) => {
+        ['data-file-name', 'data-filename', 'title', 'aria-label', 'alt'].forEach((attr) => {
           if (anchor.hasAttribute(attr)) candidates.push(anchor.getAttribute(attr));
         });
+        const image = anchor.tagName === 'IMG' ? anchor : anchor.querySelector('img');
+        if (image && image !== anchor && image.alt) candidates.push(image.alt);
         const textContent = anchor.textContent?.trim();
         if (textContent) candidates.push(textContent);
         const resolvedSize = resolveAttachmentSize(anchor, candidates);
-        if (!resolvedSize.bytes && !resolvedSize.sizeText) return;
+        const nameMatch = candidates.map((c) => c && c.match(FILE_NAME_PATTERN)).find(Boolean);
         let label = candidates.find((c) => c && !SIZE_PATTERN.test(c)) || 'Attachment';
         if (label.length > 80) label = label.slice(0, 77) + '…';
-        const sig = `${label}|${resolvedSize.sizeText || ''}|${resolvedSize.bytes || ''}`.toLowerCase();
+        const name = nameMatch ? nameMatch[0] : label;
+        // An uploaded image shows no size in ChatGPT, so its <img> (or a known file type) is enough to keep it
+        const mimeType = anchor.getAttribute('data-mime-type') || anchor.getAttribute('type') || (image ? 'image/*' : '');
+        const hasSize = Boolean(resolvedSize.bytes || resolvedSize.sizeText);
+        if (!hasSize && !image && estimator.detectFileType(name, mimeType) === 'unknown') return;
+        const sig = `${label}|${resolvedSize.sizeText || ''}|${resolvedSize.bytes || ''}|${image ? image.currentSrc || image.src : ''}`.toLowerCase();
         if (seen.has(sig)) return;
         seen.add(sig);
-        attachments.push({ label, sizeText: resolvedSize.sizeText, bytes: resolvedSize.bytes });
+        const pagesMatch = textContent ? textContent.match(PAGE_COUNT_PATTERN) : null;
+        attachments.push({
+          label,
+          sizeText: resolvedSize.sizeText,
+          bytes: resolvedSize.bytes,
+          name,
+          mimeType,
+          width: image ? image.naturalWidth : 0,
+          height: image ? image.naturalHeight : 0,
+          // The page only has the thumbnail; the uploaded original may be larger
+          previewDimensions: Boolean(image && image.naturalWidth),
+          pages: pagesMatch ? Number(pagesMatch[1]) : 0
+        });
       });
       return attachments;
     }
 
+    // FNV-1a over the turn's text (our badges excluded) plus a little structure, so a markdown
+    // render that only wraps existing text in <pre>/<details> still counts as a change
+    function hashArticleContent(article) {
+      let hash = 0x811c9dc5;
+      let length = 0;
+      // Our badges and the navigator's controls are skipped whole, so adding them changes nothing
+      const walker = document.createTreeWalker(article, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => {
+          if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+          return node.matches(HASH_SKIPPED_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+        }
+      });
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const data = node.data;
+        for (let i = 0; i < data.length; i++) {
+          hash ^= data.charCodeAt(i);
+          hash = Math.imul(hash, 0x01000193);
+        }
+        length += data.length;
+      }
+      const structure = article.querySelectorAll('pre, details').length;
+      return `${(hash >>> 0).toString(36)}.${length.toString(36)}.${structure}`;
+    }
+
+    // Articles are only re-read when a mutation touched them (or they are new), and only
+    // re-extracted when their content hash actually changed
+    function readArticle(article) {
+      const cached = articleEntries.get(article);
+      if (cached && !dirtyArticles.has(article)) return cached;
+      dirtyArticles.delete(article);
+      const contentHash = hashArticleContent(article);
+      if (cached && cached.contentHash === contentHash) return cached;
+      const { text, reasoning } = extractArticleText(article);
+      const entry = {
+        contentHash,
+        text,
+        reasoning,
+        cacheKey: `${article.getAttribute('data-message-id') || article.id || ''}:${contentHash}`
+      };
+      articleEntries.set(article, entry);
+      return entry;
+    }
+
     function gatherConversation() {
       const main = getConversationMain();
       if (!main) return { messages: [], attachments: [] };
       const articles = Array.from(main.querySelectorAll('article'));
       const messages = articles.map((article, index) => {
-        const text = extractArticleText(article);
-        if (!text) return null;
+        const { text, reasoning, cacheKey } = readArticle(article);
+        if (!text && !reasoning) return null;
         return {
           id: article.getAttribute('data-message-id') || article.id || `msg-${index}`,
           role: determineMessageRole(article, index),
-          text
+          text,
+          reasoning,
+          cacheKey,
+          element: article
         };
       }).filter(Boolean);
       return { messages, attachments: gatherAttachments(main) };
     }
 
-    function estimateConversationStats(messages, attachments) {
-      if (!messages.length && !attachments.length) return null;
-      const enrichedMessages = messages.map((msg) => {
-        const stats = estimator.estimateTokensFromText(msg.text);
-        return { ...msg, stats };
+    function findComposer() {
+      for (const selector of COMPOSER_SELECTORS) {
+        const composer = document.querySelector(selector);
+        if (composer) return composer;
+      }
+      return null;
+    }
+
+    async function measureDraft() {
+      const composer = findComposer();
+      if (!composer) return { tokens: 0, words: 0 };
+      const text = composer.tagName === 'TEXTAREA' ? composer.value : (composer.innerText || composer.textContent || '');
+      if (!text) return { tokens: 0, words: 0 };
+      // Every counter update measures the draft, so an unchanged one is not sent again
+      if (lastDraft && lastDraft.text === text) return lastDraft.stats;
+      const version = statsCacheVersion;
+      const [result] = await BackgroundEstimator.estimate([{ key: 'draft', text }]);
+      if (version === statsCacheVersion && !result.onPage) lastDraft = { text, stats: result.stats };
+      return result.stats;
+    }
+
+    function cacheStats(result) {
+      statsCache.delete(result.key);
+      statsCache.set(result.key, { stats: result.stats, reasoningStats: result.reasoningStats });
+      if (statsCache.size > STATS_CACHE_LIMIT) statsCache.delete(statsCache.keys().next().value);
+    }
+
+    function resetStatsCache() {
+      statsCache.clear();
+      lastDraft = null;
+      statsCacheVersion += 1;
+      lastSignature = '';
+    }
+
+    // Fills in per-message stats from the cache, estimating only the misses (in the background when it answers).
+    // Resolves to null when the estimator changed meanwhile, since the results are then stale.
+    async function resolveMessageStats(messages) {
+      // Turns estimated on the page while the background was unavailable are re-counted once it is back
+      if (pageEstimatesCached && BackgroundEstimator.isActive()) {
+        pageEstimatesCached = false;
+        statsCache.clear();
+      }
+      const version = statsCacheVersion;
+      const misses = new Map();
+      messages.forEach((msg) => {
+        if (!statsCache.has(msg.cacheKey)) misses.set(msg.cacheKey, { key: msg.cacheKey, text: msg.text, reasoning: msg.reasoning });
       });
+      // The synchronous part is page time: the whole estimate when it falls back, else posting the job
+      const dispatchStarted = performance.now();
+      const pending = BackgroundEstimator.estimate(Array.from(misses.values()));
+      const dispatchMs = performance.now() - dispatchStarted;
+      const results = await pending;
+      if (version !== statsCacheVersion) return null;
+      results.forEach(cacheStats);
+      if (results.some((result) => result.onPage)) pageEstimatesCached = true;
+      const fresh = new Map(results.map((result) => [result.key, result]));
+      return {
+        recounted: misses.size,
+        dispatchMs,
+        messages: messages.map((msg) => {
+          const { stats, reasoningStats } = statsCache.get(msg.cacheKey) || fresh.get(msg.cacheKey);
+          return { ...msg, stats, reasoningStats };
+        })
+      };
+    }
+
+    function estimateConversationStats(enrichedMessages, attachments) {
+      const addBreakdown = (acc, stats) => {
+        Object.entries(stats.breakdown || {}).forEach(([category, tokens]) => {
+          acc.breakdown[category] = (acc.breakdown[category] || 0) + tokens;
+        });
+      };
       const totals = enrichedMessages.reduce((acc, msg) => {
         acc.totalTokens += msg.stats.tokens;
         acc.totalWords += msg.stats.words;
         acc.byRole[msg.role] = (acc.byRole[msg.role] || 0) + msg.stats.tokens;
+        addBreakdown(acc, msg.stats);
+        if (msg.reasoningStats) {
+          acc.reasoningTokens += msg.reasoningStats.tokens;
+          if (reasoningIncluded) {
+            acc.totalTokens += msg.reasoningStats.tokens;
+            acc.totalWords += msg.reasoningStats.words;
+            addBreakdown(acc, msg.reasoningStats);
+          }
+        }
         return acc;
-      }, { totalTokens: 0, totalWords: 0, byRole: {} });
+      }, { totalTokens: 0, totalWords: 0, reasoningTokens: 0, byRole: {}, breakdown: {} });
       const attachmentDetails = attachments.map((att) => {
-        let bytes = att.bytes;
-        let tokens = 0;
-        if (!bytes && att.sizeText) {
-          const est = estimator.estimateTokensFromFileSizeString(att.sizeText);
-          bytes = est.bytes;
-          tokens = est.tokens;
-        } else if (bytes) {
-          tokens = estimator.estimateTokensFromBytes(bytes);
-        }
-        return { ...att, bytes, tokens, sizeText: att.sizeText || formatBytes(bytes) };
+        const bytes = att.bytes || (att.sizeText ? estimator.parseFileSizeToBytes(att.sizeText) : 0);
+        const { tokens, method } = estimator.estimateAttachmentTokens({ ...att, bytes });
+        return { ...att, bytes, tokens, method, sizeText: att.sizeText || formatBytes(bytes) };
       });
       const attachmentTokens = attachmentDetails.reduce((sum, item) => sum + item.tokens, 0);
       return {
@@ -454,8 +893,12 @@
           totalTokens: totals.totalTokens + attachmentTokens,
           userTokens: totals.byRole.user || 0,
           assistantTokens: totals.byRole.assistant || 0,
+          reasoningTokens: totals.reasoningTokens,
+          reasoningIncluded,
           totalWords: totals.totalWords,
-          attachments: attachmentDetails.map((item) => ({ label: item.label, sizeText: item.sizeText, tokens: item.tokens }))
+          breakdown: totals.breakdown,
+          engine: enrichedMessages.length ? enrichedMessages[enrichedMessages.length - 1].stats.engine : estimator.getActiveEngine(),
+          attachments: attachmentDetails.map((item) => ({ label: item.label, sizeText: item.sizeText, tokens: item.tokens, method: item.method }))
         }
       };
     }
@@ -464,6 +907,128 @@
       return Number.isFinite(value) ? value.toLocaleString() : '0';
     }
 
+    function formatCompactTokens(value) {
+      if (value >= 1000000) return `${Math.round(value / 100000) / 10}M`;
+      if (value >= 1000) return `${Math.round(value / 1000)}k`;
+      return String(value);
+    }
+
+    function getContextWindowTable() {
+      return { ...DEFAULT_CONTEXT_WINDOWS, ...(currentSettings.contextWindows || {}) };
+    }
+
+    // Maps switcher labels such as "ChatGPT 4o" or "o4-mini-high" onto the longest matching table key
+    function matchModelKey(text, table) {
+      if (!text) return null;
+      const normalized = text.toLowerCase().replace(/chatgpt/g, ' ').trim().replace(/\s+/g, '-');
+      if (!normalized) return null;
+      let best = null;
+      Object.keys(table).forEach((key) => {
+        const alias = key.replace(/^gpt-/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[^a-z0-9.])(gpt-)?${alias}($|[^a-z0-9.])`);
+        if (pattern.test(normalized) && (!best || key.length > best.length)) best = key;
+      });
+      return best;
+    }
+
+    function detectActiveModel(table) {
+      const fromUrl = matchModelKey(new URLSearchParams(location.search).get('model'), table);
+      if (fromUrl) return fromUrl;
+      for (const selector of MODEL_SWITCHER_SELECTORS) {
+        const switcher = document.querySelector(selector);
+        if (!switcher) continue;
+        const model = matchModelKey(switcher.textContent, table) || matchModelKey(switcher.getAttribute('aria-label'), table);
+        if (model) return model;
+      }
+      return null;
+    }
+
+    function resolveContextWindow() {
+      const table = getContextWindowTable();
+      const detected = currentSettings.contextModelAutoDetect !== false ? detectActiveModel(table) : null;
+      const model = detected || (table[currentSettings.contextModel] ? currentSettings.contextModel : DEFAULT_CONTEXT_MODEL);
+      return { model, limit: table[model] || 0, detected: Boolean(detected) };
+    }
+
+    function renderBreakdown(container, breakdown) {
+      const node = container.querySelector('[data-role="content-breakdown"]');
+      if (!node) return;
+      const entries = Object.entries(breakdown || {})
+        .filter(([, tokens]) => tokens > 0)
+        .sort((a, b) => b[1] - a[1]);
+      if (!entries.length) {
+        node.textContent = '—';
+        node.removeAttribute('title');
+        return;
+      }
+      const total = entries.reduce((sum, [, tokens]) => sum + tokens, 0);
+      node.textContent = entries.slice(0, 2).map(([category, tokens]) => `${category} ${Math.round((tokens / total) * 100)}%`).join(' · ');
+      node.title = entries.map(([category, tokens]) => `${category}: ${formatNumber(tokens)} tokens`).join('\n');
+    }
+
+    function resolvePricing(model) {
+      const prices = { ...DEFAULT_MODEL_PRICES, ...(currentSettings.modelPrices || {}) };
+      const price = prices[model] || prices[DEFAULT_CONTEXT_MODEL];
+      return { model, input: Number(price.input) || 0, output: Number(price.output) || 0 };
+    }
+
+    function formatCost(value) {
+      if (!Number.isFinite(value) || value <= 0) return '$0.00';
+      if (value < 0.01) return `$${value.toFixed(4)}`;
+      if (value < 1) return `$${value.toFixed(3)}`;
+      return `$${value.toFixed(2)}`;
+    }
+
+    // Input covers everything that is not model output (user turns and attachments), and reasoning is
+    // billed as output when included; resending replays the whole thread as input context for one more request
+    function renderCost(container, snapshot) {
+      const pricing = snapshot.pricing;
+      const costNode = container.querySelector('[data-role="conversation-cost"]');
+      const resendNode = container.querySelector('[data-role="resend-cost"]');
+      if (!pricing) return;
+      const totalTokens = snapshot.totalTokens || 0;
+      const outputTokens = (snapshot.assistantTokens || 0) + (snapshot.reasoningIncluded ? snapshot.reasoningTokens || 0 : 0);
+      const inputTokens = Math.max(0, totalTokens - outputTokens);
+      const conversationCost = (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+      const resendCost = (totalTokens * pricing.input) / 1000000;
+      const priceNote = `${pricing.model}: $${pricing.input} in / $${pricing.output} out per 1M tokens`;
+      if (costNode) {
+        costNode.textContent = formatCost(conversationCost);
+        costNode.title = `${formatNumber(inputTokens)} input + ${formatNumber(outputTokens)} output tokens\n${priceNote}`;
+      }
+      if (resendNode) {
+        resendNode.textContent = formatCost(resendCost);
+        resendNode.title = `${formatNumber(totalTokens)} tokens re-sent as context\n${priceNote}`;
+      }
+    }
+
+    function renderContextGauge(container, totalTokens, context, draftTokens) {
+      const gauge = container.querySelector('[data-role="context-gauge"]');
+      const usageNode = container.querySelector('[data-role="context-usage"]');
+      if (!context || !context.limit) {
+        if (gauge) gauge.hidden = true;
+        if (usageNode) usageNode.textContent = '—';
+        return;
+      }
+      const ratio = totalTokens / context.limit;
+      const percent = Math.round(ratio * 100);
+      const level = ratio >= GAUGE_DANGER_RATIO ? 'danger' : ratio >= GAUGE_WARNING_RATIO ? 'warning' : 'ok';
+      const draftNote = draftTokens ? ` (incl. ${formatNumber(draftTokens)} draft)` : '';
+      const description = `${context.model}${context.detected ? '' : ' (selected)'}: ${formatNumber(totalTokens)} / ${formatNumber(context.limit)} tokens${draftNote}`;
+      if (gauge) {
+        gauge.hidden = false;
+        gauge.classList.toggle('token-counter__gauge--warning', level === 'warning');
+        gauge.classList.toggle('token-counter__gauge--danger', level === 'danger');
+        gauge.title = description;
+        const fill = gauge.querySelector('.token-counter__gauge-fill');
+        if (fill) fill.style.width = `${Math.min(100, Math.max(0, ratio * 100))}%`;
+      }
+      if (usageNode) {
+        usageNode.textContent = `${percent}% of ${formatCompactTokens(context.limit)}`;
+        usageNode.title = description;
+      }
+    }
+
     function renderCounterSnapshot(container, snapshot) {
       if (!container || !snapshot) return;
       const totalTokens = snapshot.totalTokens || 0;
@@ -471,18 +1036,54 @@
       const assistantTokens = snapshot.assistantTokens || 0;
       const totalWords = snapshot.totalWords || 0;
       const attachments = snapshot.attachments || [];
+      const engine = snapshot.engine || 'heuristic';
+      const draftTokens = snapshot.draftTokens || 0;
 
       const tokenNode = container.querySelector('[data-role="token-count"]');
+      const engineNode = container.querySelector('[data-role="token-engine"]');
+      const draftSummaryNode = container.querySelector('[data-role="draft-summary"]');
+      const draftTokenNode = container.querySelector('[data-role="draft-token-count"]');
       const userTokenNode = container.querySelector('[data-role="user-token-count"]');
       const assistantTokenNode = container.querySelector('[data-role="assistant-token-count"]');
+      const reasoningTokenNode = container.querySelector('[data-role="reasoning-token-count"]');
       const wordsNode = container.querySelector('[data-role="word-count"]');
       const attachmentsNode = container.querySelector('[data-role="attachment-count"]');
 
       if (tokenNode) tokenNode.textContent = `~${formatNumber(totalTokens)}`;
       if (userTokenNode) userTokenNode.textContent = `${formatNumber(userTokens)} tokens`;
       if (assistantTokenNode) assistantTokenNode.textContent = `${formatNumber(assistantTokens)} tokens`;
+      if (reasoningTokenNode) {
+        const reasoningTokens = snapshot.reasoningTokens || 0;
+        reasoningTokenNode.textContent = reasoningTokens
+          ? `${formatNumber(reasoningTokens)} tokens${snapshot.reasoningIncluded ? '' : ' (excluded)'}`
+          : '0 tokens';
+        reasoningTokenNode.title = snapshot.reasoningIncluded
+          ? 'Reasoning panels are counted in the total'
+          : 'Reasoning panels are not counted in the total';
+      }
       if (wordsNode) wordsNode.textContent = `${formatNumber(totalWords)} words`;
-      
+      if (engineNode) {
+        engineNode.textContent = ENGINE_LABELS[engine] || engine;
+        if (engine !== 'heuristic') {
+          engineNode.title = `BPE tokenizer: ${engine}`;
+        } else {
+          engineNode.title = estimator.isCalibrated()
+            ? `Heuristic estimate (calibrated on ${formatNumber(calibrationSamples)} samples)`
+            : 'Heuristic estimate (word/character blend)';
+        }
+      }
+
+      if (draftSummaryNode) {
+        draftSummaryNode.hidden = !draftTokens;
+        draftSummaryNode.textContent = draftTokens ? `+${formatNumber(draftTokens)} draft = ~${formatNumber(totalTokens + draftTokens)}` : '';
+      }
+      if (draftTokenNode) draftTokenNode.textContent = `${formatNumber(draftTokens)} tokens`;
+
+      // The gauge answers "will this fit if I press send", so it includes the draft
+      renderContextGauge(container, totalTokens + draftTokens, snapshot.context, draftTokens);
+      renderCost(container, snapshot);
+      renderBreakdown(container, snapshot.breakdown);
+
       // Add hover tooltip with prompt/completion breakdown
       container.title = `Prompt: ${formatNumber(userTokens)} / Completion: ${formatNumber(assistantTokens)}`;
       if (attachmentsNode) {
@@ -490,7 +1091,7 @@
         const attachmentTokens = attachments.reduce((sum, item) => sum + (item.tokens || 0), 0);
         if (attachmentTokens) {
           attachmentsNode.textContent = `+${formatNumber(attachmentTokens)} tokens`;
-          attachmentsNode.title = attachments.map((item) => `${item.label}${item.sizeText ? ` (${item.sizeText})` : ''} ≈ ${formatNumber(item.tokens)} tokens`).join('\n');
+          attachmentsNode.title = attachments.map((item) => `${item.label}${item.sizeText ? ` (${item.sizeText})` : ''} ≈ ${formatNumber(item.tokens)} tokens${item.method ? ` [${item.method}]` : ''}`).join('\n');
         } else if (attachmentCount) {
           attachmentsNode.textContent = `${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'}`;
         } else {
@@ -498,151 +1099,759 @@
           attachmentsNode.removeAttribute('title');
         }
       }
+      renderUpdateMetrics(container);
     }
 
-    function buildSignature(messages, attachments, totalTokens) {
-      const msgSig = messages.map((m) => `${m.id}:${m.role}:${m.stats.tokens}:${m.text.length}`).join('|');
-      const attSig = attachments.map((a) => `${a.label}:${a.sizeText || ''}:${a.tokens}`).join('|');
-      return `${location.href}|${totalTokens}|${msgSig}|${attSig}`;
-    }
-
-    function updateCounter() {
-      pendingUpdate = null;
-      if (!enabled) return;
-      const container = ensureCounterElement();
-      if (!container) return;
-      const { messages, attachments } = gatherConversation();
-      const estimation = estimateConversationStats(messages, attachments);
-      if (!estimation) return;
-      const { enrichedMessages, attachmentDetails, snapshot } = estimation;
-      const signature = buildSignature(enrichedMessages, attachmentDetails, snapshot.totalTokens);
-      if (signature === lastSignature) return;
-      lastSignature = signature;
-      renderCounterSnapshot(container, snapshot);
+    function loadHistory(conversationId) {
+      if (history.id === conversationId) return history.points;
+      let points = [];
+      try {
+        const stored = localStorage.getItem(`${HISTORY_STORAGE_PREFIX}${conversationId}`);
+        if (stored) points = JSON.parse(stored);
+      } catch (error) { }
+      history = { id: conversationId, points: Array.isArray(points) ? points : [] };
+      return history.points;
     }
 
-    function scheduleUpdate() {
-      if (pendingUpdate) clearTimeout(pendingUpdate);
-      pendingUpdate = setTimeout(updateCounter, UPDATE_DEBOUNCE_MS);
+    function saveHistory() {
+      if (!history.id) return;
+      try {
+        localStorage.setItem(`${HISTORY_STORAGE_PREFIX}${history.id}`, JSON.stringify(history.points));
+      } catch (error) { }
     }
 
-    function initObservers() {
-      if (mutationObserver) return;
-      mutationObserver = new MutationObserver(scheduleUpdate);
-      mutationObserver.observe(document.body, { subtree: true, childList: true, characterData: true });
+    function createHistoryPoint(timestamp, turns, totalTokens, userTokens, assistantTokens) {
+      return { timestamp, turns, totalTokens, userTokens, assistantTokens };
     }
 
-    function enable() {
-      enabled = true;
-      counterDismissed = false;
-      scheduleUpdate();
-      initObservers();
+    // Conversations opened before history existed are backfilled from the turns on the page
+    function backfillHistory(messages, timestamp) {
+      const points = [];
+      let userTokens = 0;
+      let assistantTokens = 0;
+      messages.slice(0, -1).forEach((msg, index) => {
+        if (msg.role === 'user') userTokens += msg.stats.tokens;
+        else if (msg.role === 'assistant') assistantTokens += msg.stats.tokens;
+        const last = points[points.length - 1];
+        const reasoningTokens = reasoningIncluded && msg.reasoningStats ? msg.reasoningStats.tokens : 0;
+        const totalTokens = (last ? last.totalTokens : 0) + msg.stats.tokens + reasoningTokens;
+        points.push(createHistoryPoint(timestamp, index + 1, totalTokens, userTokens, assistantTokens));
+      });
+      return points;
     }
 
-    function disable() {
-      enabled = false;
-      const container = document.getElementById(COUNTER_ID);
-      if (container) container.remove();
+    // One point per turn; while a response streams, the point for the current turn is updated in place.
+    // An edit that forks the thread drops the points past the fork.
+    function recordHistory(messages, snapshot) {
+      const conversationId = getConversationId();
+      if (!conversationId || !messages.length) return null;
+      const points = loadHistory(conversationId);
+      const now = Date.now();
+      const turns = messages.length;
+      const point = createHistoryPoint(now, turns, snapshot.totalTokens, snapshot.userTokens, snapshot.assistantTokens);
+
+      if (!points.length) points.push(...backfillHistory(messages, now));
+      const storedLength = points.length;
+      while (points.length && points[points.length - 1].turns > turns) points.pop();
+
+      const last = points[points.length - 1];
+      if (last && last.turns === turns) {
+        const unchanged = HISTORY_SERIES.every(([key]) => last[key] === point[key]);
+        if (unchanged && points.length === storedLength) return points;
+        points[points.length - 1] = point;
+      } else {
+        points.push(point);
+      }
+      if (points.length > HISTORY_LIMIT) points.splice(0, points.length - HISTORY_LIMIT);
+      saveHistory();
+      return points;
     }
 
-    function init() {
-      if (!estimator) {
-        console.warn('ChatGPT UX Suite: Token estimator not available');
-        return;
+    function findLargestJump(points) {
+      let largest = null;
+      for (let i = 1; i < points.length; i++) {
+        const delta = points[i].totalTokens - points[i - 1].totalTokens;
+        if (delta > 0 && (!largest || delta > largest.delta)) largest = { index: i, delta };
       }
-      scheduleUpdate();
-      initObservers();
-      window.addEventListener('resize', scheduleUpdate);
-      window.addEventListener('hashchange', scheduleUpdate);
-      document.addEventListener('visibilitychange', scheduleUpdate);
+      return largest;
     }
 
-    return { init, enable, disable, setEnabled: (val) => val ? enable() : disable() };
-  })();
+    function createSvgElement(tag, attributes) {
+      const el = document.createElementNS(SVG_NS, tag);
+      Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, String(value)));
+      return el;
+    }
 
-  // =============================================================================
-  // License Management (Polar.sh integration)
-  // =============================================================================
-  const LicenseManager = (function () {
-    const POLAR_ORG_ID = 'f88eadc1-f584-4ae6-a6be-b511e014f825';
-    const FREE_NAVIGATIONS = 30;
-    const STORAGE_KEYS = {
-      licenseKey: 'promptNavLicenseKey',
-      usageCount: 'promptNavUsageCount',
-      licenseValid: 'promptNavLicenseValid',
-      lastValidated: 'promptNavLastValidated'
-    };
+    function buildHistorySvg(points, size, seriesKeys, largestJump) {
+      const { width, height } = size;
+      const pad = 2;
+      const maxTokens = Math.max(1, ...points.map((p) => p.totalTokens));
+      const x = (index) => pad + (points.length > 1 ? (index / (points.length - 1)) * (width - pad * 2) : (width - pad * 2) / 2);
+      const y = (value) => height - pad - (value / maxTokens) * (height - pad * 2);
+
+      const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, width, height, 'aria-hidden': 'true' });
+      seriesKeys.forEach((key) => {
+        svg.appendChild(createSvgElement('polyline', {
+          class: `token-counter__series token-counter__series--${key}`,
+          points: points.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ')
+        }));
+      });
 
-    async function getUsageCount() {
-      return new Promise((resolve) => {
-        chrome.storage.sync.get({ [STORAGE_KEYS.usageCount]: 0 }, (result) => {
-          resolve(result[STORAGE_KEYS.usageCount]);
+      if (largestJump) {
+        const p = points[largestJump.index];
+        const marker = createSvgElement('circle', {
+          class: 'token-counter__history-marker',
+          cx: x(largestJump.index).toFixed(1),
+          cy: y(p.totalTokens).toFixed(1),
+          r: 2.5
         });
-      });
+        const title = createSvgElement('title', {});
+        title.textContent = `Turn ${p.turns}: +${formatNumber(largestJump.delta)} tokens`;
+        marker.appendChild(title);
+        svg.appendChild(marker);
+      }
+      return svg;
     }
 
-    async function incrementUsage() {
-      const count = await getUsageCount();
-      const newCount = count + 1;
-      await chrome.storage.sync.set({ [STORAGE_KEYS.usageCount]: newCount });
-      return newCount;
-    }
+    function renderHistory(container, points) {
+      const section = container.querySelector('[data-role="history"]');
+      if (!section) return;
+      if (!points || points.length < 2) {
+        section.hidden = true;
+        return;
+      }
+      section.hidden = false;
+
+      const largestJump = findLargestJump(points);
+      const summaryNode = section.querySelector('[data-role="history-summary"]');
+      if (summaryNode) {
+        const turns = points[points.length - 1].turns;
+        summaryNode.textContent = largestJump
+          ? `${turns} turns · max +${formatCompactTokens(largestJump.delta)}`
+          : `${turns} turns`;
+        summaryNode.title = largestJump
+          ? `Largest jump: +${formatNumber(largestJump.delta)} tokens at turn ${points[largestJump.index].turns}`
+          : '';
+      }
 
-    async function getLicenseKey() {
-      return new Promise((resolve) => {
-        chrome.storage.sync.get({ [STORAGE_KEYS.licenseKey]: null }, (result) => {
-          resolve(result[STORAGE_KEYS.licenseKey]);
+      const sparkline = section.querySelector('[data-role="history-sparkline"]');
+      if (sparkline) sparkline.replaceChildren(buildHistorySvg(points, SPARKLINE_SIZE, ['totalTokens'], null));
+
+      const chart = section.querySelector('[data-role="history-chart"]');
+      if (chart) {
+        const legend = document.createElement('div');
+        legend.className = 'token-counter__history-legend';
+        HISTORY_SERIES.forEach(([key, label]) => {
+          const item = document.createElement('span');
+          item.className = `token-counter__legend-item token-counter__legend-item--${key}`;
+          item.textContent = `${label} ${formatCompactTokens(points[points.length - 1][key])}`;
+          legend.appendChild(item);
         });
-      });
+        chart.replaceChildren(
+          buildHistorySvg(points, HISTORY_CHART_SIZE, HISTORY_SERIES.map(([key]) => key), largestJump),
+          legend
+        );
+      }
     }
 
-    async function isLicenseValid() {
-      return new Promise((resolve) => {
-        chrome.storage.sync.get({
-          [STORAGE_KEYS.licenseValid]: false,
-          [STORAGE_KEYS.lastValidated]: 0
-        }, (result) => {
-          const isValid = result[STORAGE_KEYS.licenseValid];
-          const lastValidated = result[STORAGE_KEYS.lastValidated];
-          // Re-validate if older than 24 hours
-          const needsRevalidation = Date.now() - lastValidated > 86400000;
-          resolve({ isValid, needsRevalidation });
-        });
-      });
+    function messageTokens(msg) {
+      return msg.stats.tokens + (reasoningIncluded && msg.reasoningStats ? msg.reasoningStats.tokens : 0);
     }
 
-    async function validateLicenseWithPolar(key) {
-      if (!key) return false;
-      try {
-        const response = await fetch('https://api.polar.sh/v1/customer-portal/license-keys/validate', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            key: key,
-            organization_id: POLAR_ORG_ID
-          })
-        });
-        if (!response.ok) return false;
-        const data = await response.json();
-        // API returns a ValidatedLicenseKey object - check status is 'granted'
-        return data.status === 'granted';
-      } catch (e) {
-        console.error('License validation error:', e);
-        return false;
+    // Walks back from the newest turn until the window is full; everything older would be truncated.
+    // Attachments are not tied to a turn here, so they are charged against the window up front.
+    function findOverflowedMessages(messages, snapshot) {
+      const context = snapshot.context;
+      if (!context || !context.limit || snapshot.totalTokens <= context.limit) return null;
+      const attachmentTokens = (snapshot.attachments || []).reduce((sum, item) => sum + (item.tokens || 0), 0);
+      let remaining = context.limit - attachmentTokens;
+      let firstKept = messages.length;
+      while (firstKept > 0 && remaining - messageTokens(messages[firstKept - 1]) >= 0) {
+        firstKept -= 1;
+        remaining -= messageTokens(messages[firstKept]);
       }
+      const overflowed = messages.slice(0, firstKept);
+      return {
+        overflowed,
+        firstKept: messages[firstKept] || null,
+        tokens: overflowed.reduce((sum, msg) => sum + messageTokens(msg), 0)
+      };
     }
 
-    async function checkAndValidateLicense() {
-      const licenseKey = await getLicenseKey();
-      if (!licenseKey) return false;
+    // Walks up from the article instead of scanning every turn, which matters on long threads
+    function findTurnContainer(turnSet, article) {
+      for (let el = article; el; el = el.parentElement) {
+        if (turnSet.has(el)) return el;
+      }
+      return article;
+    }
 
-      const { isValid, needsRevalidation } = await isLicenseValid();
+    function clearOverflowMarks() {
+      document.querySelectorAll(`.${OVERFLOW_CLASS}`).forEach((el) => el.classList.remove(OVERFLOW_CLASS));
+      document.querySelectorAll(`.${OVERFLOW_DIVIDER_CLASS}`).forEach((el) => el.remove());
+    }
 
-      if (isValid && !needsRevalidation) {
-        return true;
+    function renderOverflow(messages, snapshot) {
+      const overflow = findOverflowedMessages(messages, snapshot);
+      const main = getConversationMain();
+      if (!overflow || !overflow.overflowed.length || !main) {
+        clearOverflowMarks();
+        return null;
       }
 
-      // Re-validate with Polar
+      const turns = new Set(collectConversationTurns(main));
+      const marked = new Set(overflow.overflowed
+        .filter((msg) => msg.element && msg.element.isConnected)
+        .map((msg) => findTurnContainer(turns, msg.element)));
+      document.querySelectorAll(`.${OVERFLOW_CLASS}`).forEach((el) => {
+        if (!marked.has(el)) el.classList.remove(OVERFLOW_CLASS);
+      });
+      marked.forEach((el) => el.classList.add(OVERFLOW_CLASS));
+
+      const count = overflow.overflowed.length;
+      const label = `↑ ${count} turn${count === 1 ? '' : 's'} (~${formatNumber(overflow.tokens)} tokens) outside the ${snapshot.context.model} context window`;
+      const anchor = overflow.firstKept && overflow.firstKept.element ? findTurnContainer(turns, overflow.firstKept.element) : null;
+      let divider = document.querySelector(`.${OVERFLOW_DIVIDER_CLASS}`);
+      if (!anchor || !anchor.parentNode) {
+        if (divider) divider.remove();
+        return overflow;
+      }
+      if (!divider) {
+        divider = document.createElement('div');
+        divider.className = OVERFLOW_DIVIDER_CLASS;
+        divider.setAttribute('aria-hidden', 'true');
+      }
+      if (divider.textContent !== label) divider.textContent = label;
+      if (divider.nextSibling !== anchor) anchor.parentNode.insertBefore(divider, anchor);
+      return overflow;
+    }
+
+    function hideToast(kind) {
+      const stack = document.getElementById(TOAST_STACK_ID);
+      const kinds = kind ? [kind] : [...toastTimers.keys()];
+      kinds.forEach((key) => {
+        clearTimeout(toastTimers.get(key));
+        toastTimers.delete(key);
+        const toast = stack && stack.querySelector(`.${TOAST_CLASS}[data-kind="${key}"]`);
+        if (toast) toast.remove();
+      });
+      if (stack && (!kind || !stack.childElementCount)) stack.remove();
+    }
+
+    // One toast per kind: a new overflow warning replaces the last one, while a budget alert
+    // stacks beneath it instead of hiding it
+    function showToast(kind, message, level = 'danger') {
+      hideToast(kind);
+      let stack = document.getElementById(TOAST_STACK_ID);
+      if (!stack) {
+        stack = document.createElement('div');
+        stack.id = TOAST_STACK_ID;
+        document.body.appendChild(stack);
+      }
+      const toast = document.createElement('div');
+      toast.className = TOAST_CLASS;
+      toast.dataset.kind = kind;
+      toast.dataset.level = level;
+      toast.setAttribute('role', 'alert');
+      toast.title = 'Dismiss';
+      toast.textContent = message;
+      toast.addEventListener('click', () => hideToast(kind));
+      stack.appendChild(toast);
+      toastTimers.set(kind, setTimeout(() => hideToast(kind), TOAST_DURATION_MS));
+    }
+
+    // Warn once per conversation each time it crosses into overflow
+    function notifyOverflow(overflow, snapshot) {
+      const key = getConversationId() || location.pathname;
+      if (!overflow) {
+        if (overflowWarnedFor === key) overflowWarnedFor = null;
+        return;
+      }
+      if (overflowWarnedFor === key) return;
+      overflowWarnedFor = key;
+      const { model, limit } = snapshot.context;
+      showToast('overflow', `Conversation is ~${formatNumber(snapshot.totalTokens)} tokens, over the ${formatNumber(limit)}-token ${model} window. The oldest ${overflow.overflowed.length} turn${overflow.overflowed.length === 1 ? '' : 's'} may be forgotten.`);
+    }
+
+    function getBudgetThresholds(model) {
+      const overrides = currentSettings.budgetThresholds || {};
+      const thresholds = Array.isArray(overrides[model]) ? overrides[model] : DEFAULT_BUDGET_THRESHOLDS;
+      return thresholds.map(Number).filter((value) => Number.isFinite(value) && value > 0).sort((a, b) => a - b);
+    }
+
+    function loadFiredThresholds(conversationId) {
+      try {
+        const stored = JSON.parse(localStorage.getItem(`${BUDGET_STORAGE_PREFIX}${conversationId}`) || '[]');
+        return Array.isArray(stored) ? stored : [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    function saveFiredThresholds(conversationId, thresholds) {
+      try {
+        localStorage.setItem(`${BUDGET_STORAGE_PREFIX}${conversationId}`, JSON.stringify(thresholds));
+      } catch (error) { }
+    }
+
+    // The service worker colours the toolbar badge for this tab; only changes are sent
+    function reportBudgetStatus(status) {
+      const key = status ? `${status.threshold}:${status.level}` : '';
+      if (key === lastBudgetStatusKey) return;
+      lastBudgetStatusKey = key;
+      if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) return;
+      try {
+        chrome.runtime.sendMessage({
+          type: 'TOKEN_BUDGET_STATUS',
+          threshold: status ? status.threshold : 0,
+          level: status ? status.level : null
+        }, () => void chrome.runtime.lastError);
+      } catch (error) { }
+    }
+
+    // Each threshold alerts once per conversation (remembered across reloads); the badge always
+    // shows the highest threshold the current conversation is past, red for the model's last one
+    function checkBudget(snapshot) {
+      const thresholds = getBudgetThresholds(snapshot.context.model);
+      const crossed = thresholds.filter((threshold) => snapshot.totalTokens >= threshold);
+      const highest = crossed[crossed.length - 1];
+      reportBudgetStatus(highest
+        ? { threshold: highest, level: highest === thresholds[thresholds.length - 1] ? 'danger' : 'warning' }
+        : null);
+
+      const conversationId = getConversationId();
+      if (!highest || !conversationId) return;
+      const fired = loadFiredThresholds(conversationId);
+      const fresh = crossed.filter((threshold) => !fired.includes(threshold));
+      if (!fresh.length) return;
+      saveFiredThresholds(conversationId, fired.concat(fresh));
+
+      const passed = fresh[fresh.length - 1];
+      showToast('budget', `Budget alert: this conversation passed ${formatNumber(passed)} tokens (now ~${formatNumber(snapshot.totalTokens)}).`,
+        passed === thresholds[thresholds.length - 1] ? 'danger' : 'warning');
+      if (currentSettings.budgetAlertSound) SoundNotification.playNotificationSound();
+    }
+
+    // Badges are aria-hidden so extractArticleText and the Context Collector skip them
+    function renderMessageBadges(messages) {
+      const annotated = new Set();
+      messages.forEach((msg) => {
+        const article = msg.element;
+        if (!article || !article.isConnected) return;
+        annotated.add(article);
+        let badge = article.querySelector(`:scope > .${BADGE_CLASS}`);
+        if (!badge) {
+          badge = document.createElement('span');
+          badge.className = BADGE_CLASS;
+          badge.setAttribute('aria-hidden', 'true');
+          article.classList.add(ANNOTATED_CLASS);
+          article.appendChild(badge);
+        }
+        const reasoningNote = msg.reasoningStats ? ` · ${formatNumber(msg.reasoningStats.tokens)} reasoning` : '';
+        const label = `~${formatNumber(msg.stats.tokens)} tok · ${formatNumber(msg.stats.words)} words${reasoningNote}`;
+        if (badge.textContent !== label) badge.textContent = label;
+        if (badge.dataset.role !== msg.role) badge.dataset.role = msg.role;
+      });
+      document.querySelectorAll(`.${BADGE_CLASS}`).forEach((badge) => {
+        if (annotated.has(badge.parentElement)) return;
+        badge.parentElement.classList.remove(ANNOTATED_CLASS);
+        badge.remove();
+      });
+    }
+
+    function removeMessageBadges() {
+      document.querySelectorAll(`.${BADGE_CLASS}`).forEach((badge) => badge.remove());
+      document.querySelectorAll(`.${ANNOTATED_CLASS}`).forEach((el) => el.classList.remove(ANNOTATED_CLASS));
+    }
+
+    function setAnnotationsEnabled(value) {
+      const next = Boolean(value);
+      if (next === annotationsEnabled) return;
+      annotationsEnabled = next;
+      if (!annotationsEnabled) removeMessageBadges();
+      lastSignature = '';
+      scheduleUpdate();
+    }
+
+    // Calibration comes from sync storage as { coefficients, samples, errorBefore, errorAfter, calibratedAt }
+    function setCalibration(calibration) {
+      if (!estimator) return;
+      // Calibrations saved before the popup refused worse fits are ignored rather than applied
+      if (calibration && calibration.errorAfter >= calibration.errorBefore) calibration = null;
+      const key = JSON.stringify((calibration && calibration.coefficients) || null);
+      if (key === activeCalibrationKey) return;
+      activeCalibrationKey = key;
+      calibrationSamples = calibration && calibration.coefficients ? calibration.samples || 0 : 0;
+      estimator.setCalibration(calibration && calibration.coefficients);
+      BackgroundEstimator.configure({ calibration: (calibration && calibration.coefficients) || null });
+      resetStatsCache();
+      scheduleUpdate();
+    }
+
+    // Only selections that start and end inside conversation turns are counted
+    function getTurnSelection() {
+      const selection = window.getSelection();
+      if (!selection || selection.isCollapsed || !selection.rangeCount) return null;
+      const main = getConversationMain();
+      const inTurn = (node) => {
+        const el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        const turn = el ? el.closest('article, [data-message-author-role]') : null;
+        return Boolean(turn && main && main.contains(turn));
+      };
+      if (!inTurn(selection.anchorNode) || !inTurn(selection.focusNode)) return null;
+      const text = selection.toString();
+      if (!text.trim()) return null;
+      return { text, rect: selection.getRangeAt(0).getBoundingClientRect() };
+    }
+
+    function hideSelectionCounter() {
+      const counter = document.getElementById(SELECTION_COUNTER_ID);
+      if (counter) counter.remove();
+      selectionText = '';
+    }
+
+    function createSelectionCounter() {
+      const counter = document.createElement('div');
+      counter.id = SELECTION_COUNTER_ID;
+      counter.setAttribute('role', 'status');
+      // Keep the selection alive when the copy button is pressed
+      counter.addEventListener('mousedown', (event) => event.preventDefault());
+
+      const summary = document.createElement('span');
+      summary.dataset.role = 'selection-summary';
+
+      const copyButton = document.createElement('button');
+      copyButton.type = 'button';
+      copyButton.className = 'token-counter__selection-copy';
+      copyButton.textContent = 'Copy';
+      copyButton.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(selectionText);
+          copyButton.textContent = 'Copied!';
+        } catch (error) {
+          console.error('Failed to copy:', error);
+          copyButton.textContent = 'Failed';
+        }
+        setTimeout(() => {
+          copyButton.textContent = 'Copy';
+        }, SELECTION_COPY_FEEDBACK_MS);
+      });
+
+      counter.appendChild(summary);
+      counter.appendChild(copyButton);
+      document.body.appendChild(counter);
+      return counter;
+    }
+
+    async function updateSelectionCounter() {
+      pendingSelectionUpdate = null;
+      const sequence = ++selectionSequence;
+      const selection = enabled && selectionCounterEnabled ? getTurnSelection() : null;
+      if (!selection) {
+        hideSelectionCounter();
+        return;
+      }
+
+      const [{ stats }] = await BackgroundEstimator.estimate([{ key: 'selection', text: selection.text }]);
+      // The selection changed, or the counter was turned off, while the background was busy
+      if (sequence !== selectionSequence || !enabled || !selectionCounterEnabled) return;
+      const counter = document.getElementById(SELECTION_COUNTER_ID) || createSelectionCounter();
+      selectionText = selection.text;
+      counter.querySelector('[data-role="selection-summary"]').textContent =
+        `~${formatNumber(stats.tokens)} tokens · ${formatNumber(stats.words)} words · ${formatNumber(Array.from(selection.text).length)} chars`;
+
+      // Sit above the selection, or below it when there is no room at the top of the viewport
+      const { rect } = selection;
+      const height = counter.offsetHeight || 24;
+      const top = rect.top - height - 6 >= 8 ? rect.top - height - 6 : rect.bottom + 6;
+      const maxLeft = window.innerWidth - (counter.offsetWidth || 240) - 8;
+      counter.style.top = `${Math.round(top)}px`;
+      counter.style.left = `${Math.round(Math.max(8, Math.min(rect.left, maxLeft)))}px`;
+    }
+
+    function scheduleSelectionUpdate() {
+      if (pendingSelectionUpdate) clearTimeout(pendingSelectionUpdate);
+      pendingSelectionUpdate = setTimeout(updateSelectionCounter, SELECTION_DEBOUNCE_MS);
+    }
+
+    function setSelectionCounterEnabled(value) {
+      selectionCounterEnabled = value !== false;
+      if (!selectionCounterEnabled) hideSelectionCounter();
+    }
+
+    function setReasoningIncluded(value) {
+      const next = Boolean(value);
+      if (next === reasoningIncluded) return;
+      reasoningIncluded = next;
+      scheduleUpdate();
+    }
+
+    function buildSignature(messages, attachments, snapshot) {
+      const msgSig = messages.map((m) => `${m.id}:${m.role}:${m.stats.tokens}:${m.text.length}:${m.reasoningStats ? m.reasoningStats.tokens : 0}`).join('|');
+      const attSig = attachments.map((a) => `${a.label}:${a.sizeText || ''}:${a.tokens}`).join('|');
+      const contextSig = snapshot.context ? `${snapshot.context.model}:${snapshot.context.limit}:${snapshot.context.detected}` : '';
+      const pricingSig = snapshot.pricing ? `${snapshot.pricing.input}:${snapshot.pricing.output}` : '';
+      return `${location.href}|${snapshot.engine}|${snapshot.reasoningIncluded}|${contextSig}|${pricingSig}|${snapshot.totalTokens}|${snapshot.draftTokens}|${msgSig}|${attSig}`;
+    }
+
+    // Runs from a timer, so a failure is logged here instead of surfacing as an unhandled rejection
+    async function updateCounter() {
+      pendingUpdate = null;
+      try {
+        await refreshCounter();
+      } catch (error) {
+        console.error('ChatGPT UX Suite: token count update failed', error);
+      }
+    }
+
+    async function refreshCounter() {
+      if (!enabled || !ensureCounterElement()) return;
+      const sequence = ++updateSequence;
+      const gatherStarted = performance.now();
+      const { messages, attachments } = gatherConversation();
+      const gatherMs = performance.now() - gatherStarted;
+
+      const [resolved, draft] = await Promise.all([resolveMessageStats(messages), measureDraft()]);
+      // Superseded by a newer update (or an estimator change) while the background was busy
+      if (!resolved || sequence !== updateSequence || !enabled) return;
+      const container = ensureCounterElement();
+      if (!container) return;
+
+      const renderStarted = performance.now();
+      if (!messages.length && !attachments.length && !draft.tokens) return;
+      const { enrichedMessages, attachmentDetails, snapshot } = estimateConversationStats(resolved.messages, attachments);
+      // Without turns the draft is the only thing the background has counted
+      if (!enrichedMessages.length && draft.engine) snapshot.engine = draft.engine;
+      snapshot.context = resolveContextWindow();
+      snapshot.pricing = resolvePricing(snapshot.context.model);
+      snapshot.draftTokens = draft.tokens;
+      lastSnapshot = snapshot;
+      const signature = buildSignature(enrichedMessages, attachmentDetails, snapshot);
+      if (signature === lastSignature) return;
+      lastSignature = signature;
+      renderCounterSnapshot(container, snapshot);
+      renderHistory(container, recordHistory(enrichedMessages, snapshot));
+      notifyOverflow(renderOverflow(enrichedMessages, snapshot), snapshot);
+      checkBudget(snapshot);
+      if (annotationsEnabled) renderMessageBadges(enrichedMessages);
+      lastUpdateMetrics = {
+        pageMs: gatherMs + resolved.dispatchMs + (performance.now() - renderStarted),
+        recounted: resolved.recounted,
+        turns: messages.length,
+        inBackground: BackgroundEstimator.isActive()
+      };
+      renderUpdateMetrics(container);
+    }
+
+    // Appended to the engine tooltip so the cost of an update can be checked on long threads
+    function renderUpdateMetrics(container) {
+      const engineNode = container.querySelector('[data-role="token-engine"]');
+      if (!engineNode || !lastUpdateMetrics) return;
+      const { pageMs, recounted, turns, inBackground } = lastUpdateMetrics;
+      const base = engineNode.title.split('\n')[0];
+      engineNode.title = `${base}\nLast update: ${pageMs.toFixed(1)} ms on the page, ${recounted}/${turns} turns re-counted${recounted && inBackground ? ' in the background' : ''}`;
+    }
+
+    function isOwnNode(node) {
+      return node.nodeType === Node.ELEMENT_NODE && Boolean(node.closest(OWN_NODE_SELECTOR));
+    }
+
+    // Marks the turns a mutation touched; changes to our own UI (counter, badges, toasts) are ignored
+    function handleMutations(records) {
+      let relevant = false;
+      records.forEach((record) => {
+        const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+        if (!target || isOwnNode(target)) return;
+        if (record.type === 'childList') {
+          const changed = [...record.addedNodes, ...record.removedNodes];
+          if (changed.length && changed.every(isOwnNode)) return;
+        }
+        relevant = true;
+        const article = target.closest('article');
+        if (article) dirtyArticles.add(article);
+      });
+      if (relevant) scheduleUpdate();
+    }
+
+    function scheduleUpdate() {
+      if (pendingUpdate) clearTimeout(pendingUpdate);
+      pendingUpdate = setTimeout(updateCounter, UPDATE_DEBOUNCE_MS);
+    }
+
+    // Typing only touches the draft, so re-render the last snapshot instead of re-scanning every article
+    async function updateDraft() {
+      pendingDraftUpdate = null;
+      if (!enabled) return;
+      if (!lastSnapshot) {
+        scheduleUpdate();
+        return;
+      }
+      const sequence = ++draftSequence;
+      const draftTokens = (await measureDraft()).tokens;
+      // Typing went on while the background was busy, or a full update replaced the snapshot
+      if (sequence !== draftSequence || !enabled || !lastSnapshot) return;
+      if (draftTokens === lastSnapshot.draftTokens) return;
+      lastSnapshot = { ...lastSnapshot, draftTokens };
+      const container = ensureCounterElement();
+      if (container) renderCounterSnapshot(container, lastSnapshot);
+    }
+
+    function handleComposerInput(event) {
+      const target = event.target;
+      if (!enabled || !(target instanceof Element) || !target.closest(COMPOSER_SELECTORS.join(', '))) return;
+      if (pendingDraftUpdate) clearTimeout(pendingDraftUpdate);
+      pendingDraftUpdate = setTimeout(updateDraft, DRAFT_DEBOUNCE_MS);
+    }
+
+    // Only the background loads vocabularies; the in-page estimator is its heuristic fallback.
+    // The same engine again keeps the per-turn cache, which is only valid for one engine.
+    function setEngine(engine) {
+      if (!estimator || engine === activeEngine) return;
+      activeEngine = engine;
+      BackgroundEstimator.configure({ engine });
+      resetStatsCache();
+      scheduleUpdate();
+    }
+
+    function initObservers() {
+      if (mutationObserver) return;
+      mutationObserver = new MutationObserver(handleMutations);
+      mutationObserver.observe(document.body, { subtree: true, childList: true, characterData: true });
+    }
+
+    function enable() {
+      enabled = true;
+      counterDismissed = false;
+      lastSignature = '';
+      setEngine(currentSettings.tokenizerEngine);
+      initObservers();
+      scheduleUpdate();
+    }
+
+    function disable() {
+      enabled = false;
+      const container = document.getElementById(COUNTER_ID);
+      if (container) container.remove();
+      removeMessageBadges();
+      clearOverflowMarks();
+      hideToast();
+      reportBudgetStatus(null);
+      hideSelectionCounter();
+    }
+
+    function init() {
+      if (!estimator) {
+        console.warn('ChatGPT UX Suite: Token estimator not available');
+        return;
+      }
+      setEngine(currentSettings.tokenizerEngine);
+      annotationsEnabled = Boolean(currentSettings.tokenAnnotations);
+      reasoningIncluded = Boolean(currentSettings.includeReasoningTokens);
+      setCalibration(currentSettings.tokenCalibration);
+      selectionCounterEnabled = currentSettings.selectionTokenCount !== false;
+      scheduleUpdate();
+      initObservers();
+      window.addEventListener('resize', scheduleUpdate);
+      window.addEventListener('hashchange', scheduleUpdate);
+      document.addEventListener('visibilitychange', scheduleUpdate);
+      document.addEventListener('input', handleComposerInput, true);
+      document.addEventListener('selectionchange', scheduleSelectionUpdate);
+      window.addEventListener('scroll', scheduleSelectionUpdate, true);
+    }
+
+    // Every storage change re-applies all settings, so only an actual switch enables or disables
+    function setEnabled(value) {
+      if (Boolean(value) === enabled) return;
+      if (value) enable();
+      else disable();
+    }
+
+    return { init, enable, disable, setEnabled, setEngine, setAnnotationsEnabled, setReasoningIncluded, setCalibration, setSelectionCounterEnabled };
+  })();
+
+  // =============================================================================
+  // License Management (Polar.sh integration)
+  // =============================================================================
+  const LicenseManager = (function () {
+    const POLAR_ORG_ID = 'f88eadc1-f584-4ae6-a6be-b511e014f825';
+    const FREE_NAVIGATIONS = 30;
+    const STORAGE_KEYS = {
+      licenseKey: 'promptNavLicenseKey',
+      usageCount: 'promptNavUsageCount',
+      licenseValid: 'promptNavLicenseValid',
+      lastValidated: 'promptNavLastValidated'
+    };
+
+    async function getUsageCount() {
+      return new Promise((resolve) => {
+        chrome.storage.sync.get({ [STORAGE_KEYS.usageCount]: 0 }, (result) => {
+          resolve(result[STORAGE_KEYS.usageCount]);
+        });
+      });
+    }
+
+    async function incrementUsage() {
+      const count = await getUsageCount();
+      const newCount = count + 1;
+      await chrome.storage.sync.set({ [STORAGE_KEYS.usageCount]: newCount });
+      return newCount;
+    }
+
+    async function getLicenseKey() {
+      return new Promise((resolve) => {
+        chrome.storage.sync.get({ [STORAGE_KEYS.licenseKey]: null }, (result) => {
+          resolve(result[STORAGE_KEYS.licenseKey]);
+        });
+      });
+    }
+
+    async function isLicenseValid() {
+      return new Promise((resolve) => {
+        chrome.storage.sync.get({
+          [STORAGE_KEYS.licenseValid]: false,
+          [STORAGE_KEYS.lastValidated]: 0
+        }, (result) => {
+          const isValid = result[STORAGE_KEYS.licenseValid];
+          const lastValidated = result[STORAGE_KEYS.lastValidated];
+          // Re-validate if older than 24 hours
+          const needsRevalidation = Date.now() - lastValidated > 86400000;
+          resolve({ isValid, needsRevalidation });
+        });
+      });
+    }
+
+    async function validateLicenseWithPolar(key) {
+      if (!key) return false;
+      try {
+        const response = await fetch('https://api.polar.sh/v1/customer-portal/license-keys/validate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            key: key,
+            organization_id: POLAR_ORG_ID
+          })
+        });
+        if (!response.ok) return false;
+        const data = await response.json();
+        // API returns a ValidatedLicenseKey object - check status is 'granted'
+        return data.status === 'granted';
+      } catch (e) {
+        console.error('License validation error:', e);
+        return false;
+      }
+    }
+
+    async function checkAndValidateLicense() {
+      const licenseKey = await getLicenseKey();
+      if (!licenseKey) return false;
+
+      const { isValid, needsRevalidation } = await isLicenseValid();
+
+      if (isValid && !needsRevalidation) {
+        return true;
+      }
+
+      // Re-validate with Polar
       const valid = await validateLicenseWithPolar(licenseKey);
       await chrome.storage.sync.set({
         [STORAGE_KEYS.licenseValid]: valid,
@@ -696,8 +1905,81 @@
   const PromptNavigator = (function () {
     const WIDGET_ID = 'prompt-navigator-widget';
     const UPGRADE_MODAL_ID = 'prompt-nav-upgrade-modal';
+    const PALETTE_ID = 'prompt-nav-palette';
+    const PALETTE_RESULT_LIMIT = 8;
+    // What Alt+E / Alt+D step through; cycled with Alt+Shift+E / Alt+Shift+D or the widget's mode button
+    const NAV_TARGETS = {
+      prompt: { label: 'Prompts', unit: 'Prompt', empty: 'No Prompts' },
+      response: { label: 'Responses', unit: 'Response', empty: 'No Responses' },
+      code: { label: 'Code', unit: 'Code Block', empty: 'No Code' },
+      heading: { label: 'Headings', unit: 'Heading', empty: 'No Headings' },
+      bookmark: { label: 'Bookmarks', unit: 'Bookmark', empty: 'No Bookmarks' }
+    };
+    const NAV_TARGET_ORDER = Object.keys(NAV_TARGETS);
+    const OUTLINE_STORAGE_KEY = 'promptNavOutline';
+    const OUTLINE_SNIPPET_LENGTH = 60;
+    // chrome.storage.local (not localStorage) so the popup can list bookmarks across conversations
+    const BOOKMARK_STORAGE_PREFIX = 'chatgptBookmarks_';
+    const BOOKMARK_SNIPPET_LENGTH = 80;
+    // Left by the popup's Saved tab when it opens a conversation in a new tab
+    const PENDING_BOOKMARK_JUMP_KEY = 'chatgptPendingBookmarkJump';
+    const PENDING_BOOKMARK_JUMP_TTL_MS = 60000;
+    const NAV_HISTORY_LIMIT = 50;
+    // Jumps closer together than this (holding Alt+D, say) share one history entry
+    const NAV_HISTORY_COALESCE_MS = 1500;
+    const MINIMAP_ID = 'prompt-nav-minimap';
+    const MINIMAP_WIDTH = 10;
+    // Later kinds are drawn on top, so a bookmark tick stays visible over the response it marks
+    const MINIMAP_KINDS = ['response', 'prompt', 'code', 'bookmark'];
+    const VIM_SEARCH_ID = 'prompt-nav-vim-search';
+    // How long the first "g" of "gg" waits for the second
+    const VIM_PREFIX_TIMEOUT_MS = 800;
+    const FOCUSED_TURN_CLASS = 'pn-turn-focused';
+    const COLLAPSED_CLASS = 'pn-turn-collapsed';
+    // Turns shorter than this get no collapse toggle of their own ("collapse all" still folds them)
+    const COLLAPSE_MIN_HEIGHT = 480;
+    const COLLAPSE_SUMMARY_LENGTH = 120;
     let enabled = true;
     let prompts = [];
+    // "turn" is every visible turn, stepped through by the vim keys rather than a mode of its own
+    let targets = { prompt: [], response: [], code: [], heading: [], bookmark: [], turn: [] };
+    let navTarget = 'prompt';
+    let modeButton = null;
+    let btnPrev = null;
+    let btnNext = null;
+    let outlinePanel = null;
+    let outlineToggle = null;
+    let outlineEntries = [];
+    const outlineSnippets = new WeakMap();
+    let outlineActiveIndex = -1;
+    let paletteResults = [];
+    let paletteSelection = 0;
+    let bookmarks = new Map();
+    let bookmarkElements = new Map();
+    let bookmarkConversationId = null;
+    let bookmarkPanel = null;
+    let bookmarkPanelToggle = null;
+    let bookmarkListSignature = null;
+    let pendingBookmarkKey = null;
+    let backStack = [];
+    let forwardStack = [];
+    let lastHistoryPush = 0;
+    let btnBack = null;
+    let btnForward = null;
+    let minimapEnabled = false;
+    let minimap = null;
+    let minimapViewport = null;
+    let minimapSignature = null;
+    let vimEnabled = false;
+    let vimPendingG = 0;
+    let vimSearchQuery = '';
+    let focusedTurn = null;
+    // Turn keys (see getTurnKey) folded in this conversation; not persisted across reloads
+    let collapsedKeys = new Set();
+    // Per-turn layout reads (see getTurnLayout); the observer marks the turns a mutation touched
+    let turnLayouts = new WeakMap();
+    const dirtyTurns = new WeakSet();
+    let collapseAllButton = null;
     let lastAnchor = null;
     let lastJumpTime = 0;
     let widgetLabel = null;
@@ -705,29 +1987,118 @@
     let refreshTimer = null;
     let scrollTimer = null;
 
+    function isInsideThinkingPanel(el) {
+      const panel = el.closest('details');
+      return Boolean(panel && isThinkingPanel(panel));
+    }
+
+    function collectWithin(turn, selector) {
+      return Array.from(turn.querySelectorAll(selector))
+        .filter((el) => !isInsideThinkingPanel(el) && isElementVisible(el));
+    }
+
+    // Visibility, height and the visible code blocks and headings each force layout, so they are
+    // read again only for new turns and turns a mutation (or a fold) touched since the last scan
+    function getTurnLayout(turn) {
+      let layout = turnLayouts.get(turn);
+      if (layout && !dirtyTurns.has(turn)) return layout;
+      dirtyTurns.delete(turn);
+      const visible = isElementVisible(turn);
+      layout = {
+        visible,
+        tall: visible && turn.getBoundingClientRect().height >= COLLAPSE_MIN_HEIGHT,
+        code: visible ? collectWithin(turn, 'pre') : [],
+        headings: visible ? collectWithin(turn, 'h1, h2, h3, h4, h5, h6') : []
+      };
+      turnLayouts.set(turn, layout);
+      return layout;
+    }
+
+    function resetTurnLayouts() {
+      turnLayouts = new WeakMap();
+    }
+
+    // Matches the container collectConversationTurns picks for a turn
+    function markTurnDirty(node) {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      if (!element || element.closest(TURN_CONTROLS_SELECTOR)) return;
+      const turn = element.closest('[data-testid^="conversation-turn"]') ||
+        element.closest('article') ||
+        element.closest('[data-message-author-role]');
+      if (turn) dirtyTurns.add(turn);
+    }
+
+    function isTurnControl(node) {
+      return node.nodeType === Node.ELEMENT_NODE && node.matches(TURN_CONTROLS_SELECTOR);
+    }
+
     function scan() {
+      const conversationId = getConversationId();
+      if (conversationId !== bookmarkConversationId) {
+        loadBookmarks(conversationId);
+        clearNavHistory();
+        collapsedKeys = new Set();
+      }
       const main = getConversationMain();
       if (!main) {
         prompts = [];
+        targets = { prompt: [], response: [], code: [], heading: [], bookmark: [], turn: [] };
+        bookmarkElements = new Map();
         return [];
       }
       const turns = collectConversationTurns(main);
+      const visibleTurns = [];
       const userPrompts = [];
+      const responses = [];
+      const bookmarked = [];
+      bookmarkElements = new Map();
       turns.forEach((turn, index) => {
-        if (!isElementVisible(turn)) return;
+        if (!getTurnLayout(turn).visible) return;
+        visibleTurns.push(turn);
         const role = determineMessageRole(turn, index);
         if (role === 'user') userPrompts.push(turn);
+        else if (role === 'assistant') responses.push(turn);
+        const key = getTurnKey(turn, index);
+        // The interval and observers keep scanning while disabled; the per-turn controls only show when enabled
+        if (enabled) renderCollapseState(turn, key);
+        // Unsaved chats have no id to file bookmarks under
+        if (!bookmarkConversationId) return;
+        const isBookmarked = bookmarks.has(key);
+        if (enabled) renderBookmarkToggle(turn, index, isBookmarked);
+        if (isBookmarked) {
+          bookmarked.push(turn);
+          bookmarkElements.set(key, turn);
+        }
       });
       prompts = userPrompts.length === 0 && turns.length > 0
-        ? turns.filter((t) => isElementVisible(t))
+        ? visibleTurns
         : userPrompts;
+      targets = {
+        prompt: prompts,
+        response: responses,
+        code: visibleTurns.flatMap((turn) => getTurnLayout(turn).code),
+        heading: responses.flatMap((turn) => getTurnLayout(turn).headings),
+        bookmark: bookmarked,
+        turn: visibleTurns
+      };
+      // ChatGPT renders a long thread in stages, so wait until the saved turn exists
+      if (pendingBookmarkKey && bookmarkElements.has(pendingBookmarkKey)) {
+        const key = pendingBookmarkKey;
+        pendingBookmarkKey = null;
+        setTimeout(() => handleBookmarkSelect(key), 0);
+      }
       return prompts;
     }
 
+    function getTargets() {
+      return targets[navTarget] || [];
+    }
+
     function getScrollContext() {
       let container = null;
-      if (prompts.length > 0) {
-        let current = prompts[0].parentElement;
+      const reference = prompts[0] || getTargets()[0];
+      if (reference) {
+        let current = reference.parentElement;
         while (current) {
           const style = window.getComputedStyle(current);
           if ((style.overflowY === 'auto' || style.overflowY === 'scroll') && current.scrollHeight > current.clientHeight) {
@@ -746,20 +2117,22 @@
       return { container, scrollTop: container.scrollTop, viewHeight: rect.height, containerTop: rect.top, isWindow: false };
     }
 
-    function buildAnchors(context) {
+    // Positions come from the live layout, so collapsed turns count at their folded height; their
+    // hidden code blocks and headings never make it into the lists (scan skips invisible elements)
+    function buildAnchors(context, list = getTargets()) {
       const anchors = [];
       const largeThreshold = context.viewHeight * 0.8;
-      prompts.forEach((el, index) => {
+      list.forEach((el, index) => {
         const rect = el.getBoundingClientRect();
         const topY = context.scrollTop + (rect.top - context.containerTop);
         const height = rect.height;
-        anchors.push({ element: el, kind: 'top', y: topY, promptIndex: index });
-        if (height > largeThreshold) {
-          anchors.push({ element: el, kind: 'bottom', y: topY + height, promptIndex: index });
+        anchors.push({ element: el, kind: 'top', y: topY, targetIndex: index });
+        if (height > largeThreshold && !el.classList.contains(COLLAPSED_CLASS)) {
+          anchors.push({ element: el, kind: 'bottom', y: topY + height, targetIndex: index });
         }
       });
       const scrollHeight = context.isWindow ? document.documentElement.scrollHeight : context.container.scrollHeight;
-      anchors.push({ element: null, kind: 'chat-bottom', y: scrollHeight, promptIndex: prompts.length });
+      anchors.push({ element: null, kind: 'chat-bottom', y: scrollHeight, targetIndex: list.length });
       return anchors.sort((a, b) => a.y - b.y);
     }
 
@@ -825,6 +2198,8 @@
         targetScrollTop = (context.isWindow ? document.documentElement.scrollHeight : context.container.scrollHeight) - context.viewHeight;
       } else if (anchor.kind === 'top') {
         targetScrollTop = anchor.y - context.viewHeight * 0.15;
+      } else if (anchor.kind === 'position') {
+        targetScrollTop = anchor.y;
       } else {
         targetScrollTop = anchor.y - context.viewHeight + context.viewHeight * 0.2;
       }
@@ -837,115 +2212,1113 @@
       }
     }
 
-    function jump(direction) {
-      if (!prompts.length) return { success: false, reason: 'no_prompts' };
-      const context = getScrollContext();
-      const anchors = buildAnchors(context);
-      if (!anchors.length) return { success: false, reason: 'no_anchors' };
-      const target = findTargetAnchor(anchors, context, direction);
-      if (!target) return { success: false, reason: 'no_target' };
-      scrollToAnchor(target, context);
-      lastAnchor = { element: target.element, kind: target.kind };
-      return { success: true, promptIndex: target.promptIndex, total: prompts.length };
+    function jump(direction, list = getTargets()) {
+      if (!list.length) return { success: false, reason: 'no_targets' };
+      const context = getScrollContext();
+      const anchors = buildAnchors(context, list);
+      if (!anchors.length) return { success: false, reason: 'no_anchors' };
+      const target = findTargetAnchor(anchors, context, direction);
+      if (!target) return { success: false, reason: 'no_target' };
+      pushNavHistory(context);
+      scrollToAnchor(target, context);
+      lastAnchor = { element: target.element, kind: target.kind };
+      return { success: true, targetIndex: target.targetIndex, total: list.length };
+    }
+
+    function getCurrentTargetIndex(list = getTargets()) {
+      if (!list.length) return -1;
+      const context = getScrollContext();
+      const thresholdY = context.scrollTop + (context.viewHeight / 2);
+      let activeIndex = -1;
+      for (let i = 0; i < list.length; i++) {
+        const rect = list[i].getBoundingClientRect();
+        const topY = context.scrollTop + (rect.top - context.containerTop);
+        if (topY <= thresholdY) activeIndex = i;
+        else break;
+      }
+      return activeIndex;
+    }
+
+    function getCurrentPromptIndex() {
+      return getCurrentTargetIndex(prompts);
+    }
+
+    function injectStyles() {
+      if (document.getElementById('prompt-navigator-style')) return;
+      const style = document.createElement('style');
+      style.id = 'prompt-navigator-style';
+      style.textContent = `
+        #${WIDGET_ID} {
+          position: fixed;
+          bottom: 20px;
+          right: 20px;
+          z-index: 99999;
+          display: flex;
+          flex-direction: column;
+          padding: 6px 10px;
+          background: #202123;
+          color: #ececf1;
+          border: 1px solid #565869;
+          border-radius: 6px;
+          font-family: sans-serif;
+          font-size: 12px;
+          box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+          user-select: none;
+          opacity: 0.9;
+          transition: opacity 0.2s;
+        }
+        #${WIDGET_ID}:hover { opacity: 1; }
+        .pn-controls {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+        #${WIDGET_ID} button {
+          background: transparent;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          padding: 2px 6px;
+          border-radius: 4px;
+          font-size: 10px;
+        }
+        #${WIDGET_ID} button:hover { background: rgba(255,255,255,0.1); }
+        #${WIDGET_ID} button:disabled { opacity: 0.35; cursor: default; background: transparent; }
+        .pn-label { font-weight: 600; min-width: 60px; text-align: center; }
+        #${WIDGET_ID} .pn-mode {
+          min-width: 58px;
+          border: 1px solid #565869;
+          color: #c5c5d2;
+          font-weight: 600;
+        }
+        #${WIDGET_ID} .pn-mode[data-target="response"] { border-color: #10a37f; color: #10a37f; }
+        #${WIDGET_ID} .pn-mode[data-target="code"] { border-color: #f59e0b; color: #f59e0b; }
+        #${WIDGET_ID} .pn-mode[data-target="heading"] { border-color: #60a5fa; color: #60a5fa; }
+        #${WIDGET_ID} .pn-mode[data-target="bookmark"] { border-color: #eab308; color: #eab308; }
+        #${WIDGET_ID} .pn-outline-toggle[aria-expanded="true"],
+        #${WIDGET_ID} .pn-bookmarks-toggle[aria-expanded="true"] { background: rgba(255,255,255,0.1); }
+        #${WIDGET_ID} .pn-bookmarks-toggle { color: #eab308; }
+        .pn-outline, .pn-bookmarks {
+          width: 260px;
+          max-height: 40vh;
+          overflow-y: auto;
+          margin-bottom: 6px;
+          padding-bottom: 6px;
+          border-bottom: 1px solid #565869;
+        }
+        .pn-bookmarks { max-height: 30vh; }
+        .pn-outline[hidden], .pn-bookmarks[hidden] { display: none; }
+        #${WIDGET_ID} .pn-outline-item {
+          display: flex;
+          gap: 6px;
+          width: 100%;
+          padding: 3px 6px;
+          font-size: 11px;
+          text-align: left;
+          color: #c5c5d2;
+        }
+        #${WIDGET_ID} .pn-outline-item--active {
+          background: rgba(16,163,127,0.2);
+          color: #ececf1;
+        }
+        .pn-outline-number { flex: none; min-width: 18px; color: #8e8ea0; text-align: right; }
+        .pn-outline-text { overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+        .pn-outline-empty { padding: 4px 6px; font-size: 11px; color: #8e8ea0; }
+        .pn-bookmark-row { display: flex; align-items: center; }
+        .pn-bookmark-row .pn-outline-item { flex: 1; min-width: 0; }
+        .pn-bookmark-row--missing .pn-outline-text { opacity: 0.5; }
+        #${WIDGET_ID} .pn-bookmark-remove { flex: none; color: #8e8ea0; }
+        /* Against the turn itself (see positionTurn), a row below the token counter's badge */
+        .${BOOKMARK_TOGGLE_CLASS} {
+          position: absolute;
+          top: 24px;
+          right: 8px;
+          z-index: 10;
+          padding: 0 4px;
+          background: transparent;
+          border: none;
+          color: #8e8ea0;
+          font-size: 16px;
+          line-height: 1;
+          cursor: pointer;
+          opacity: 0;
+          transition: opacity 0.15s, color 0.15s;
+        }
+        *:hover > .${BOOKMARK_TOGGLE_CLASS},
+        .${BOOKMARK_TOGGLE_CLASS}:focus-visible { opacity: 0.7; }
+        .${BOOKMARK_TOGGLE_CLASS}--active,
+        *:hover > .${BOOKMARK_TOGGLE_CLASS}--active { opacity: 1; color: #eab308; }
+        #${PALETTE_ID} {
+          position: fixed;
+          inset: 0;
+          z-index: 999999;
+          display: flex;
+          justify-content: center;
+          align-items: flex-start;
+          padding-top: 18vh;
+          background: rgba(0,0,0,0.35);
+          font-family: sans-serif;
+        }
+        .pn-palette-box {
+          width: min(560px, 90vw);
+          background: #202123;
+          color: #ececf1;
+          border: 1px solid #565869;
+          border-radius: 8px;
+          box-shadow: 0 12px 32px rgba(0,0,0,0.4);
+          overflow: hidden;
+        }
+        .pn-palette-input {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 12px 14px;
+          background: transparent;
+          border: none;
+          border-bottom: 1px solid #565869;
+          color: inherit;
+          font-size: 14px;
+          outline: none;
+        }
+        .pn-palette-results { max-height: 50vh; overflow-y: auto; }
+        .pn-palette-item {
+          display: flex;
+          gap: 10px;
+          padding: 7px 14px;
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .pn-palette-item--selected { background: rgba(16,163,127,0.25); }
+        .pn-palette-number { flex: none; min-width: 28px; color: #8e8ea0; text-align: right; }
+        .pn-palette-text { overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+        .pn-palette-empty { padding: 10px 14px; font-size: 12px; color: #8e8ea0; }
+        #${MINIMAP_ID} {
+          position: fixed;
+          z-index: 9998;
+          width: ${MINIMAP_WIDTH}px;
+          background: rgba(127,127,140,0.08);
+          border-left: 1px solid rgba(127,127,140,0.2);
+        }
+        .pn-minimap-viewport {
+          position: absolute;
+          left: 0;
+          right: 0;
+          min-height: 4px;
+          background: rgba(127,127,140,0.18);
+          pointer-events: none;
+        }
+        .pn-minimap-tick {
+          position: absolute;
+          left: 0;
+          right: 0;
+          min-height: 2px;
+          padding: 0;
+          border: none;
+          cursor: pointer;
+          opacity: 0.75;
+        }
+        .pn-minimap-tick:hover { opacity: 1; outline: 1px solid #ececf1; }
+        .pn-minimap-tick--response { left: 6px; background: rgba(16,163,127,0.35); }
+        .pn-minimap-tick--prompt { background: #3b82f6; }
+        .pn-minimap-tick--code { left: 3px; right: 3px; background: #a855f7; }
+        .pn-minimap-tick--bookmark { background: #eab308; }
+        #${VIM_SEARCH_ID} {
+          position: fixed;
+          left: 20px;
+          bottom: 20px;
+          z-index: 999999;
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          width: min(360px, 60vw);
+          padding: 6px 10px;
+          background: #202123;
+          color: #ececf1;
+          border: 1px solid #565869;
+          border-radius: 6px;
+          box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+          font-family: monospace;
+          font-size: 13px;
+        }
+        #${VIM_SEARCH_ID} input {
+          flex: 1;
+          min-width: 0;
+          background: transparent;
+          border: none;
+          color: inherit;
+          font: inherit;
+          outline: none;
+        }
+        /* Beside the bookmark toggle, against the turn */
+        .${COLLAPSE_TOGGLE_CLASS} {
+          position: absolute;
+          top: 24px;
+          right: 32px;
+          z-index: 10;
+          padding: 0 4px;
+          background: transparent;
+          border: none;
+          color: #8e8ea0;
+          font-size: 14px;
+          line-height: 1;
+          cursor: pointer;
+          opacity: 0;
+          transition: opacity 0.15s;
+        }
+        *:hover > .${COLLAPSE_TOGGLE_CLASS},
+        .${COLLAPSE_TOGGLE_CLASS}:focus-visible,
+        .${COLLAPSED_CLASS} > .${COLLAPSE_TOGGLE_CLASS} { opacity: 0.7; }
+        .${COLLAPSED_CLASS} > :not(.${COLLAPSE_SUMMARY_CLASS}):not(.${COLLAPSE_TOGGLE_CLASS}):not(.${BOOKMARK_TOGGLE_CLASS}) {
+          display: none !important;
+        }
+        .${COLLAPSE_SUMMARY_CLASS} {
+          display: flex;
+          gap: 8px;
+          max-width: 48rem;
+          margin: 0 auto;
+          padding: 8px 64px 8px 12px;
+          border: 1px dashed rgba(142,142,160,0.4);
+          border-radius: 8px;
+          color: #8e8ea0;
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .pn-collapse-line { flex: 1; min-width: 0; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+        .pn-collapse-tokens { flex: none; }
+        .${FOCUSED_TURN_CLASS} {
+          outline: 2px solid rgba(16,163,127,0.45);
+          outline-offset: 2px;
+        }
+        .pn-error { border-color: #ef4444 !important; color: #ef4444 !important; }
+      `;
+      document.head.appendChild(style);
+    }
+
+    function createWidget() {
+      if (document.getElementById(WIDGET_ID)) return;
+      const container = document.createElement('div');
+      container.id = WIDGET_ID;
+      
+      // Controls row (label + buttons)
+      const controls = document.createElement('div');
+      controls.className = 'pn-controls';
+      
+      const label = document.createElement('span');
+      label.className = 'pn-label';
+      label.textContent = 'PromptNav';
+      widgetLabel = label;
+
+      const mode = document.createElement('button');
+      mode.className = 'pn-mode';
+      mode.onclick = (e) => { e.stopPropagation(); cycleNavTarget(e.shiftKey ? -1 : 1); };
+      modeButton = mode;
+      
+      const btnUp = document.createElement('button');
+      btnUp.textContent = '▲';
+      btnUp.onclick = (e) => { e.stopPropagation(); handleJump('previous'); };
+      btnPrev = btnUp;
+      
+      const btnDown = document.createElement('button');
+      btnDown.textContent = '▼';
+      btnDown.onclick = (e) => { e.stopPropagation(); handleJump('next'); };
+      btnNext = btnDown;
+      
+      const toggle = document.createElement('button');
+      toggle.className = 'pn-outline-toggle';
+      toggle.textContent = '☰';
+      toggle.onclick = (e) => { e.stopPropagation(); setOutlineVisibility(outlinePanel.hidden, true); };
+      outlineToggle = toggle;
+
+      const outline = document.createElement('div');
+      outline.className = 'pn-outline';
+      outline.setAttribute('role', 'list');
+      outlinePanel = outline;
+
+      const bookmarksToggle = document.createElement('button');
+      bookmarksToggle.className = 'pn-bookmarks-toggle';
+      bookmarksToggle.textContent = '★';
+      bookmarksToggle.onclick = (e) => { e.stopPropagation(); setBookmarkPanelVisibility(bookmarkPanel.hidden); };
+      bookmarkPanelToggle = bookmarksToggle;
+
+      const collapseAll = document.createElement('button');
+      collapseAll.className = 'pn-collapse-all';
+      collapseAll.onclick = (e) => {
+        e.stopPropagation();
+        if (collapsedKeys.size) expandAllTurns();
+        else collapseAllResponses();
+      };
+      collapseAllButton = collapseAll;
+
+      const bookmarkList = document.createElement('div');
+      bookmarkList.className = 'pn-bookmarks';
+      bookmarkList.setAttribute('role', 'list');
+      bookmarkPanel = bookmarkList;
+      
+      const backButton = document.createElement('button');
+      backButton.className = 'pn-history-back';
+      backButton.textContent = '↶';
+      backButton.onclick = (e) => { e.stopPropagation(); navigateHistory('back'); };
+      btnBack = backButton;
+
+      const forwardButton = document.createElement('button');
+      forwardButton.className = 'pn-history-forward';
+      forwardButton.textContent = '↷';
+      forwardButton.onclick = (e) => { e.stopPropagation(); navigateHistory('forward'); };
+      btnForward = forwardButton;
+
+      controls.appendChild(toggle);
+      controls.appendChild(bookmarksToggle);
+      controls.appendChild(collapseAll);
+      controls.appendChild(mode);
+      controls.appendChild(backButton);
+      controls.appendChild(label);
+      controls.appendChild(forwardButton);
+      controls.appendChild(btnUp);
+      controls.appendChild(btnDown);
+      container.appendChild(outline);
+      container.appendChild(bookmarkList);
+      container.appendChild(controls);
+      document.body.appendChild(container);
+      renderNavTarget();
+      applyStoredOutlinePreference();
+      setBookmarkPanelVisibility(false);
+      renderNavHistory();
+      renderCollapseAllButton();
+    }
+
+    function setOutlineVisibility(visible, persistPreference) {
+      if (!outlinePanel || !outlineToggle) return;
+      outlinePanel.hidden = !visible;
+      outlineToggle.setAttribute('aria-expanded', visible ? 'true' : 'false');
+      outlineToggle.title = visible ? 'Hide prompt outline' : 'Show prompt outline';
+      if (persistPreference) {
+        try {
+          localStorage.setItem(OUTLINE_STORAGE_KEY, visible ? 'open' : 'closed');
+        } catch (error) { }
+      }
+      if (visible) renderOutline();
+    }
+
+    function applyStoredOutlinePreference() {
+      let visible = false;
+      try {
+        visible = localStorage.getItem(OUTLINE_STORAGE_KEY) === 'open';
+      } catch (error) { }
+      setOutlineVisibility(visible, false);
+    }
+
+    function getTurnText(el) {
+      let source = el.querySelector('[data-message-author-role]') || el;
+      if (source.querySelector(TURN_CONTROLS_SELECTOR)) {
+        source = source.cloneNode(true);
+        source.querySelectorAll(TURN_CONTROLS_SELECTOR).forEach((node) => node.remove());
+      }
+      return (source.innerText || source.textContent || '').replace(/^\s*(You|ChatGPT) said:\s*/i, '');
+    }
+
+    function getTurnSnippet(el, maxLength = OUTLINE_SNIPPET_LENGTH) {
+      const firstLine = getTurnText(el).split('\n').map((line) => line.trim()).find(Boolean) || '';
+      return firstLine.length > maxLength
+        ? `${firstLine.slice(0, maxLength - 1)}…`
+        : firstLine;
+    }
+
+    // innerText forces layout, so a prompt's snippet is only recomputed when its raw text changes
+    function getOutlineSnippet(element) {
+      const source = element.textContent;
+      const cached = outlineSnippets.get(element);
+      if (cached && cached.source === source) return cached.text;
+      const text = getTurnSnippet(element);
+      outlineSnippets.set(element, { source, text });
+      return text;
+    }
+
+    // Rebuilt only when the prompts (or their first lines) change; scrolling just moves the highlight
+    function renderOutline() {
+      if (!outlinePanel || outlinePanel.hidden) return;
+      const entries = prompts.map((element) => ({ element, text: getOutlineSnippet(element) }));
+      const changed = entries.length !== outlineEntries.length ||
+        entries.some((entry, i) => entry.element !== outlineEntries[i].element || entry.text !== outlineEntries[i].text);
+      if (changed) {
+        outlineEntries = entries;
+        outlineActiveIndex = -1;
+        outlinePanel.textContent = '';
+        if (!entries.length) {
+          const empty = document.createElement('div');
+          empty.className = 'pn-outline-empty';
+          empty.textContent = 'No prompts yet';
+          outlinePanel.appendChild(empty);
+        }
+        entries.forEach((entry, index) => {
+          const item = document.createElement('button');
+          item.className = 'pn-outline-item';
+          item.setAttribute('role', 'listitem');
+          item.title = entry.text;
+          const number = document.createElement('span');
+          number.className = 'pn-outline-number';
+          number.textContent = index + 1;
+          const text = document.createElement('span');
+          text.className = 'pn-outline-text';
+          text.textContent = entry.text || '(empty prompt)';
+          item.appendChild(number);
+          item.appendChild(text);
+          item.onclick = (e) => { e.stopPropagation(); handlePromptSelect(index); };
+          outlinePanel.appendChild(item);
+        });
+      }
+      highlightOutline(getCurrentPromptIndex());
+    }
+
+    function highlightOutline(index) {
+      if (index === outlineActiveIndex) return;
+      const items = outlinePanel.querySelectorAll('.pn-outline-item');
+      if (items[outlineActiveIndex]) items[outlineActiveIndex].classList.remove('pn-outline-item--active');
+      outlineActiveIndex = index;
+      const active = items[index];
+      if (!active) return;
+      active.classList.add('pn-outline-item--active');
+      // Keep the highlighted prompt in view inside the panel without scrolling the page
+      const top = active.offsetTop - outlinePanel.offsetTop;
+      if (top < outlinePanel.scrollTop) {
+        outlinePanel.scrollTop = top;
+      } else if (top + active.offsetHeight > outlinePanel.scrollTop + outlinePanel.clientHeight) {
+        outlinePanel.scrollTop = top + active.offsetHeight - outlinePanel.clientHeight;
+      }
+    }
+
+    function jumpToElement(element, target) {
+      if (!element) return { success: false, reason: 'no_target' };
+      const context = getScrollContext();
+      const rect = element.getBoundingClientRect();
+      const anchor = { element, kind: 'top', y: context.scrollTop + (rect.top - context.containerTop) };
+      pushNavHistory(context);
+      scrollToAnchor(anchor, context);
+      // Alt+E / Alt+D carry on from the chosen element when the navigator is in that mode; a turn is
+      // a prompt or response itself, so it works as an anchor in either mode
+      lastAnchor = navTarget === target || target === 'turn' ? { element, kind: 'top' } : null;
+      return { success: true };
+    }
+
+    function captureNavPosition(context) {
+      return { scrollTop: context.scrollTop, lastAnchor, navTarget };
+    }
+
+    // Records where the reader was before a jump; a fresh jump drops the forward stack like a browser does
+    function pushNavHistory(context) {
+      const now = Date.now();
+      const coalesce = backStack.length > 0 && now - lastHistoryPush < NAV_HISTORY_COALESCE_MS;
+      lastHistoryPush = now;
+      forwardStack = [];
+      if (!coalesce) {
+        backStack.push(captureNavPosition(context));
+        if (backStack.length > NAV_HISTORY_LIMIT) backStack.shift();
+      }
+      renderNavHistory();
+    }
+
+    function clearNavHistory() {
+      backStack = [];
+      forwardStack = [];
+      lastHistoryPush = 0;
+      renderNavHistory();
+    }
+
+    function navigateHistory(step) {
+      const from = step === 'back' ? backStack : forwardStack;
+      const to = step === 'back' ? forwardStack : backStack;
+      if (!from.length) {
+        flashMessage(step === 'back' ? 'No Back' : 'No Forward', false);
+        return;
+      }
+      const context = getScrollContext();
+      const entry = from.pop();
+      to.push(captureNavPosition(context));
+      // Back/forward moves are never merged with the jump that follows them
+      lastHistoryPush = 0;
+      scrollToAnchor({ element: null, kind: 'position', y: entry.scrollTop }, context);
+      // Stepping resumes from the restored spot only if it was recorded in the current mode
+      lastAnchor = entry.navTarget === navTarget && entry.lastAnchor && entry.lastAnchor.element && entry.lastAnchor.element.isConnected
+        ? entry.lastAnchor
+        : null;
+      renderNavHistory();
+      updateStatus();
+    }
+
+    function renderNavHistory() {
+      if (btnBack) {
+        btnBack.disabled = backStack.length === 0;
+        btnBack.title = backStack.length
+          ? `Back to where you were${shortcutHint('nav.back')} — ${backStack.length} step${backStack.length === 1 ? '' : 's'}`
+          : `Back${shortcutHint('nav.back')} — nothing to go back to`;
+      }
+      if (btnForward) {
+        btnForward.disabled = forwardStack.length === 0;
+        btnForward.title = forwardStack.length
+          ? `Forward${shortcutHint('nav.forward')} — ${forwardStack.length} step${forwardStack.length === 1 ? '' : 's'}`
+          : `Forward${shortcutHint('nav.forward')} — nothing to go forward to`;
+      }
+    }
+
+    function jumpToPrompt(index) {
+      return jumpToElement(prompts[index], 'prompt');
+    }
+
+    function getBookmarkStorageKey(conversationId) {
+      return `${BOOKMARK_STORAGE_PREFIX}${conversationId}`;
+    }
+
+    // ChatGPT's message id survives reloads and edits elsewhere in the thread; the position is a fallback
+    function getTurnKey(turn, index) {
+      const message = turn.matches('[data-message-id]') ? turn : turn.querySelector('[data-message-id]');
+      const messageId = message && message.getAttribute('data-message-id');
+      return messageId || `turn-${index}`;
+    }
+
+    function setBookmarks(items) {
+      bookmarks = new Map((items || []).map((item) => [item.key, item]));
+    }
+
+    function loadBookmarks(conversationId) {
+      bookmarkConversationId = conversationId;
+      setBookmarks([]);
+      pendingBookmarkKey = null;
+      if (!conversationId || typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) return;
+      const storageKey = getBookmarkStorageKey(conversationId);
+      chrome.storage.local.get({ [storageKey]: null, [PENDING_BOOKMARK_JUMP_KEY]: null }, (result) => {
+        // The user may have switched chats while storage was answering
+        if (bookmarkConversationId !== conversationId) return;
+        const stored = result && result[storageKey];
+        setBookmarks(stored && stored.items);
+        const pending = result && result[PENDING_BOOKMARK_JUMP_KEY];
+        if (pending && pending.conversationId === conversationId) {
+          chrome.storage.local.remove(PENDING_BOOKMARK_JUMP_KEY);
+          if (Date.now() - pending.createdAt < PENDING_BOOKMARK_JUMP_TTL_MS) pendingBookmarkKey = pending.key;
+        }
+        scan();
+        updateStatus();
+      });
+    }
+
+    function saveBookmarks() {
+      const conversationId = bookmarkConversationId;
+      if (!conversationId || typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) return;
+      const storageKey = getBookmarkStorageKey(conversationId);
+      if (!bookmarks.size) {
+        chrome.storage.local.remove(storageKey);
+        return;
+      }
+      const items = Array.from(bookmarks.values()).sort((a, b) => a.index - b.index);
+      chrome.storage.local.set({
+        [storageKey]: {
+          conversationId,
+          title: document.title,
+          url: `${location.origin}${location.pathname}`,
+          updatedAt: Date.now(),
+          items
+        }
+      });
+    }
+
+    function toggleBookmark(turn, index) {
+      const key = getTurnKey(turn, index);
+      if (bookmarks.has(key)) {
+        bookmarks.delete(key);
+      } else {
+        bookmarks.set(key, {
+          key,
+          index,
+          role: determineMessageRole(turn, index),
+          snippet: getTurnSnippet(turn, BOOKMARK_SNIPPET_LENGTH),
+          createdAt: Date.now()
+        });
+      }
+      saveBookmarks();
+      scan();
+      updateStatus();
+    }
+
+    function removeBookmark(key) {
+      if (!bookmarks.delete(key)) return;
+      saveBookmarks();
+      scan();
+      updateStatus();
+    }
+
+    // The per-turn controls sit absolutely inside the turn; turns we had to make relative are
+    // marked so disable() can hand them back untouched
+    function positionTurn(turn) {
+      if (turn.dataset.pnPositioned || window.getComputedStyle(turn).position !== 'static') return;
+      turn.style.position = 'relative';
+      turn.dataset.pnPositioned = 'true';
+    }
+
+    function removeTurnControls() {
+      document.querySelectorAll(TURN_CONTROLS_SELECTOR).forEach((node) => node.remove());
+      document.querySelectorAll(`.${COLLAPSED_CLASS}`).forEach((turn) => turn.classList.remove(COLLAPSED_CLASS));
+      resetTurnLayouts();
+      document.querySelectorAll('[data-pn-positioned]').forEach((turn) => {
+        turn.style.position = '';
+        delete turn.dataset.pnPositioned;
+      });
+    }
+
+    // Touches the DOM only when something changed so the mutation observers stay quiet
+    function renderBookmarkToggle(turn, index, active) {
+      let button = turn.querySelector(`:scope > .${BOOKMARK_TOGGLE_CLASS}`);
+      if (!button) {
+        button = document.createElement('button');
+        button.className = BOOKMARK_TOGGLE_CLASS;
+        button.textContent = '★';
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          toggleBookmark(turn, Number(button.dataset.turnIndex));
+        });
+        positionTurn(turn);
+        turn.appendChild(button);
+      }
+      if (button.dataset.turnIndex !== String(index)) button.dataset.turnIndex = index;
+      if (button.classList.contains(`${BOOKMARK_TOGGLE_CLASS}--active`) !== active || !button.title) {
+        button.classList.toggle(`${BOOKMARK_TOGGLE_CLASS}--active`, active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        button.title = active ? 'Remove bookmark' : 'Bookmark this turn';
+      }
+    }
+
+    function getCollapseSummary(turn) {
+      const text = getTurnText(turn);
+      const line = text.split('\n').map((part) => part.trim()).find(Boolean) || '';
+      return {
+        line: line.length > COLLAPSE_SUMMARY_LENGTH ? `${line.slice(0, COLLAPSE_SUMMARY_LENGTH - 1)}…` : line,
+        text
+      };
+    }
+
+    // Like renderBookmarkToggle, touches the DOM only when the state changed; ChatGPT re-renders
+    // turns while streaming, so this runs on every scan to put the fold back
+    function renderCollapseState(turn, key) {
+      const collapsed = collapsedKeys.has(key);
+      let button = turn.querySelector(`:scope > .${COLLAPSE_TOGGLE_CLASS}`);
+      if (!collapsed && !button && !getTurnLayout(turn).tall) return;
+      if (!button) {
+        button = document.createElement('button');
+        button.className = COLLAPSE_TOGGLE_CLASS;
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          toggleCollapsed(turn, button.dataset.turnKey);
+        });
+        positionTurn(turn);
+        turn.appendChild(button);
+      }
+      if (button.dataset.turnKey !== key) button.dataset.turnKey = key;
+      if (turn.classList.contains(COLLAPSED_CLASS) !== collapsed || !button.title) {
+        turn.classList.toggle(COLLAPSED_CLASS, collapsed);
+        // Folding hides the turn's code blocks and headings without a mutation the observer sees
+        dirtyTurns.add(turn);
+        button.textContent = collapsed ? '▸' : '▾';
+        button.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+        button.title = collapsed ? 'Expand this turn' : 'Collapse this turn';
+      }
+      let summary = turn.querySelector(`:scope > .${COLLAPSE_SUMMARY_CLASS}`);
+      if (!collapsed) {
+        if (summary) summary.remove();
+        return;
+      }
+      if (summary) return;
+      const { line, text } = getCollapseSummary(turn);
+      summary = document.createElement('div');
+      summary.className = COLLAPSE_SUMMARY_CLASS;
+      summary.title = 'Click to expand';
+      // Repeats the turn's own text, so the token counter and the Context Collector skip it
+      summary.setAttribute('aria-hidden', 'true');
+      const lineEl = document.createElement('span');
+      lineEl.className = 'pn-collapse-line';
+      lineEl.textContent = line || '(empty turn)';
+      const tokensEl = document.createElement('span');
+      tokensEl.className = 'pn-collapse-tokens';
+      // Filled in when the background's estimate arrives
+      BackgroundEstimator.estimate([{ key, text }]).then(([result]) => {
+        tokensEl.textContent = `${result.stats.tokens.toLocaleString()} tokens`;
+      });
+      summary.appendChild(lineEl);
+      summary.appendChild(tokensEl);
+      summary.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleCollapsed(turn, button.dataset.turnKey);
+      });
+      turn.insertBefore(summary, turn.firstChild);
+    }
+
+    function toggleCollapsed(turn, key) {
+      if (collapsedKeys.has(key)) collapsedKeys.delete(key);
+      else collapsedKeys.add(key);
+      renderCollapseState(turn, key);
+      // Folding a turn that starts above the viewport would otherwise leave the reader further down the thread
+      if (collapsedKeys.has(key) && turn.getBoundingClientRect().top < 0) {
+        jumpToElement(turn, 'turn');
+      }
+      afterCollapseChange();
+    }
+
+    function collapseAllResponses() {
+      scan();
+      const main = getConversationMain();
+      const turns = main ? collectConversationTurns(main) : [];
+      targets.response.forEach((turn) => collapsedKeys.add(getTurnKey(turn, turns.indexOf(turn))));
+      afterCollapseChange();
+    }
+
+    function expandAllTurns() {
+      collapsedKeys.clear();
+      afterCollapseChange();
+    }
+
+    function afterCollapseChange() {
+      // Anchors point at folded or unfolded layout now, so stepping restarts from the scroll position
+      if (lastAnchor && !targets.turn.includes(lastAnchor.element)) lastAnchor = null;
+      scan();
+      renderCollapseAllButton();
+      updateStatus();
+    }
+
+    function renderCollapseAllButton() {
+      if (!collapseAllButton) return;
+      const anyCollapsed = collapsedKeys.size > 0;
+      collapseAllButton.textContent = anyCollapsed ? '⊞' : '⊟';
+      collapseAllButton.title = anyCollapsed
+        ? `Expand all turns${shortcutHint('turns.expandAll')}`
+        : `Collapse all responses${shortcutHint('turns.collapseResponses')}`;
+    }
+
+    function toggleFocusedCollapsed() {
+      scan();
+      const turn = getFocusedTurn();
+      if (!turn) {
+        flashMessage('No turn', true);
+        return;
+      }
+      const main = getConversationMain();
+      toggleCollapsed(turn, getTurnKey(turn, main ? collectConversationTurns(main).indexOf(turn) : 0));
+    }
+
+    function setBookmarkPanelVisibility(visible) {
+      if (!bookmarkPanel || !bookmarkPanelToggle) return;
+      bookmarkPanel.hidden = !visible;
+      bookmarkPanelToggle.setAttribute('aria-expanded', visible ? 'true' : 'false');
+      bookmarkPanelToggle.title = visible ? 'Hide bookmarks' : 'Show bookmarks';
+      if (visible) renderBookmarkList();
+    }
+
+    function renderBookmarkList() {
+      if (!bookmarkPanel || bookmarkPanel.hidden) return;
+      const items = Array.from(bookmarks.values()).sort((a, b) => a.index - b.index);
+      const signature = JSON.stringify([bookmarkConversationId, items.map((item) => [item.key, bookmarkElements.has(item.key)])]);
+      if (signature === bookmarkListSignature) return;
+      bookmarkListSignature = signature;
+      bookmarkPanel.textContent = '';
+      if (!items.length) {
+        const empty = document.createElement('div');
+        empty.className = 'pn-outline-empty';
+        empty.textContent = bookmarkConversationId
+          ? 'No bookmarks yet — click ★ on a turn'
+          : 'Bookmarks are available once the chat is saved';
+        bookmarkPanel.appendChild(empty);
+        return;
+      }
+      items.forEach((item) => {
+        const row = document.createElement('div');
+        row.className = 'pn-bookmark-row';
+        row.setAttribute('role', 'listitem');
+        if (!bookmarkElements.has(item.key)) row.classList.add('pn-bookmark-row--missing');
+        const jumpBtn = document.createElement('button');
+        jumpBtn.className = 'pn-outline-item';
+        jumpBtn.title = item.snippet;
+        const role = document.createElement('span');
+        role.className = 'pn-outline-number';
+        role.textContent = item.role === 'user' ? 'You' : 'GPT';
+        const text = document.createElement('span');
+        text.className = 'pn-outline-text';
+        text.textContent = item.snippet || '(empty turn)';
+        jumpBtn.appendChild(role);
+        jumpBtn.appendChild(text);
+        jumpBtn.onclick = (e) => { e.stopPropagation(); handleBookmarkSelect(item.key); };
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'pn-bookmark-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove bookmark';
+        removeBtn.onclick = (e) => { e.stopPropagation(); removeBookmark(item.key); };
+        row.appendChild(jumpBtn);
+        row.appendChild(removeBtn);
+        bookmarkPanel.appendChild(row);
+      });
+    }
+
+    // Substring hits rank above scattered subsequence hits; earlier and tighter matches rank higher
+    // Sits just inside the right edge of whatever scrolls the conversation, left of its scrollbar
+    function positionMinimap(context) {
+      if (context.isWindow) {
+        minimap.style.top = '0px';
+        minimap.style.height = `${window.innerHeight}px`;
+        minimap.style.left = `${document.documentElement.clientWidth - MINIMAP_WIDTH}px`;
+      } else {
+        const rect = context.container.getBoundingClientRect();
+        minimap.style.top = `${rect.top}px`;
+        minimap.style.height = `${rect.height}px`;
+        minimap.style.left = `${rect.left + context.container.clientWidth - MINIMAP_WIDTH}px`;
+      }
+    }
+
+    function hideMinimap() {
+      if (minimap) minimap.hidden = true;
+    }
+
+    function createMinimap() {
+      const bar = document.createElement('div');
+      bar.id = MINIMAP_ID;
+      const viewport = document.createElement('div');
+      viewport.className = 'pn-minimap-viewport';
+      bar.appendChild(viewport);
+      document.body.appendChild(bar);
+      minimap = bar;
+      minimapViewport = viewport;
+      minimapSignature = null;
+    }
+
+    function renderMinimap() {
+      if (!enabled || !minimapEnabled || !prompts.length) {
+        hideMinimap();
+        return;
+      }
+      if (!minimap || !minimap.isConnected) createMinimap();
+      minimap.hidden = false;
+      const context = getScrollContext();
+      const scrollHeight = Math.max(context.isWindow ? document.documentElement.scrollHeight : context.container.scrollHeight, context.viewHeight, 1);
+      positionMinimap(context);
+      minimapViewport.style.top = `${(context.scrollTop / scrollHeight) * 100}%`;
+      minimapViewport.style.height = `${Math.min(context.viewHeight / scrollHeight, 1) * 100}%`;
+
+      // Positions are stored as a share of the thread, so only a change in content rebuilds the ticks
+      const ticks = [];
+      MINIMAP_KINDS.forEach((kind) => {
+        targets[kind].forEach((el, index) => {
+          const rect = el.getBoundingClientRect();
+          const top = (context.scrollTop + (rect.top - context.containerTop)) / scrollHeight;
+          const height = kind === 'response' ? rect.height / scrollHeight : 0;
+          ticks.push({ kind, index, element: el, top: Math.min(Math.max(top, 0), 1) * 100, height: height * 100 });
+        });
+      });
+      const signature = ticks.map((t) => `${t.kind}:${t.top.toFixed(1)}:${t.height.toFixed(1)}`).join('|');
+      if (signature === minimapSignature) return;
+      minimapSignature = signature;
+
+      minimap.querySelectorAll('.pn-minimap-tick').forEach((tick) => tick.remove());
+      ticks.forEach((t) => {
+        const tick = document.createElement('button');
+        tick.className = `pn-minimap-tick pn-minimap-tick--${t.kind}`;
+        tick.style.top = `${t.top}%`;
+        if (t.height) tick.style.height = `${t.height}%`;
+        tick.title = `${NAV_TARGETS[t.kind].unit} ${t.index + 1}: ${getTurnSnippet(t.element)}`;
+        tick.onclick = (e) => {
+          e.stopPropagation();
+          handleMinimapSelect(t.kind, t.index);
+        };
+        minimap.appendChild(tick);
+      });
+    }
+
+    function setMinimapEnabled(value) {
+      minimapEnabled = value === true;
+      renderMinimap();
+    }
+
+    function fuzzyScore(query, text) {
+      const substring = text.indexOf(query);
+      if (substring !== -1) return 1000 - Math.min(substring, 500);
+      let score = 0;
+      let position = -1;
+      for (const char of query) {
+        const next = text.indexOf(char, position + 1);
+        if (next === -1) return null;
+        score -= position === -1 ? Math.min(next, 50) : next - position - 1;
+        position = next;
+      }
+      return score;
+    }
+
+    // "12" or "#12" jumps to prompt 12; any query is also matched against prompt text
+    function searchPrompts(query) {
+      const trimmed = query.trim().toLowerCase();
+      if (!trimmed) {
+        return prompts.map((element, index) => ({ index, text: getTurnSnippet(element) })).slice(-PALETTE_RESULT_LIMIT).reverse();
+      }
+      const results = [];
+      const numberMatch = trimmed.match(/^#?(\d+)$/);
+      const numbered = numberMatch ? Number(numberMatch[1]) - 1 : -1;
+      if (prompts[numbered]) {
+        results.push({ index: numbered, text: getTurnSnippet(prompts[numbered]), score: Infinity });
+      }
+      const needle = numberMatch ? numberMatch[1] : trimmed;
+      prompts.forEach((element, index) => {
+        if (index === numbered) return;
+        const score = fuzzyScore(needle, getTurnText(element).toLowerCase().replace(/\s+/g, ' '));
+        if (score !== null) results.push({ index, text: getTurnSnippet(element), score });
+      });
+      return results
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, PALETTE_RESULT_LIMIT);
+    }
+
+    function renderPaletteResults(palette) {
+      const list = palette.querySelector('.pn-palette-results');
+      list.textContent = '';
+      if (!paletteResults.length) {
+        const empty = document.createElement('div');
+        empty.className = 'pn-palette-empty';
+        empty.textContent = prompts.length ? 'No matching prompt' : 'No prompts in this chat';
+        list.appendChild(empty);
+        return;
+      }
+      paletteResults.forEach((result, i) => {
+        const item = document.createElement('div');
+        item.className = 'pn-palette-item';
+        item.setAttribute('role', 'option');
+        if (i === paletteSelection) {
+          item.classList.add('pn-palette-item--selected');
+          item.setAttribute('aria-selected', 'true');
+        }
+        const number = document.createElement('span');
+        number.className = 'pn-palette-number';
+        number.textContent = `#${result.index + 1}`;
+        const text = document.createElement('span');
+        text.className = 'pn-palette-text';
+        text.textContent = result.text || '(empty prompt)';
+        item.appendChild(number);
+        item.appendChild(text);
+        item.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          choosePaletteResult(i);
+        });
+        list.appendChild(item);
+      });
+      const selected = list.querySelector('.pn-palette-item--selected');
+      if (selected && selected.scrollIntoView) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    function closePalette() {
+      const palette = document.getElementById(PALETTE_ID);
+      if (palette) palette.remove();
+      paletteResults = [];
     }
 
-    function getCurrentPromptIndex() {
-      if (!prompts.length) return -1;
-      const context = getScrollContext();
-      const thresholdY = context.scrollTop + (context.viewHeight / 2);
-      let activeIndex = -1;
-      for (let i = 0; i < prompts.length; i++) {
-        const rect = prompts[i].getBoundingClientRect();
-        const topY = context.scrollTop + (rect.top - context.containerTop);
-        if (topY <= thresholdY) activeIndex = i;
-        else break;
-      }
-      return activeIndex;
+    function choosePaletteResult(i) {
+      const result = paletteResults[i];
+      closePalette();
+      if (!result) return;
+      // Palette hits are user prompts, so stepping afterwards continues through prompts from there
+      setNavTarget('prompt');
+      navigateWithAccess(() => jumpToPrompt(result.index));
     }
 
-    function injectStyles() {
-      if (document.getElementById('prompt-navigator-style')) return;
-      const style = document.createElement('style');
-      style.id = 'prompt-navigator-style';
-      style.textContent = `
-        #${WIDGET_ID} {
-          position: fixed;
-          bottom: 20px;
-          right: 20px;
-          z-index: 99999;
-          display: flex;
-          flex-direction: column;
-          padding: 6px 10px;
-          background: #202123;
-          color: #ececf1;
-          border: 1px solid #565869;
-          border-radius: 6px;
-          font-family: sans-serif;
-          font-size: 12px;
-          box-shadow: 0 4px 12px rgba(0,0,0,0.2);
-          user-select: none;
-          opacity: 0.9;
-          transition: opacity 0.2s;
-        }
-        #${WIDGET_ID}:hover { opacity: 1; }
-        .pn-controls {
-          display: flex;
-          align-items: center;
-          gap: 6px;
-        }
-        #${WIDGET_ID} button {
-          background: transparent;
-          border: none;
-          color: inherit;
-          cursor: pointer;
-          padding: 2px 6px;
-          border-radius: 4px;
-          font-size: 10px;
+    function openPalette() {
+      const existing = document.getElementById(PALETTE_ID);
+      if (existing) {
+        existing.querySelector('input').focus();
+        return;
+      }
+      scan();
+      const palette = document.createElement('div');
+      palette.id = PALETTE_ID;
+      const box = document.createElement('div');
+      box.className = 'pn-palette-box';
+      box.setAttribute('role', 'dialog');
+      box.setAttribute('aria-label', 'Jump to prompt');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'pn-palette-input';
+      input.placeholder = `Prompt number (1–${prompts.length}) or search text`;
+      input.spellcheck = false;
+      input.setAttribute('aria-autocomplete', 'list');
+      const list = document.createElement('div');
+      list.className = 'pn-palette-results';
+      list.setAttribute('role', 'listbox');
+      box.appendChild(input);
+      box.appendChild(list);
+      palette.appendChild(box);
+
+      palette.addEventListener('mousedown', (e) => {
+        if (e.target === palette) closePalette();
+      });
+      input.addEventListener('input', () => {
+        paletteResults = searchPrompts(input.value);
+        paletteSelection = 0;
+        renderPaletteResults(palette);
+      });
+      input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          closePalette();
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          choosePaletteResult(paletteSelection);
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          if (!paletteResults.length) return;
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          paletteSelection = (paletteSelection + step + paletteResults.length) % paletteResults.length;
+          renderPaletteResults(palette);
         }
-        #${WIDGET_ID} button:hover { background: rgba(255,255,255,0.1); }
-        .pn-label { font-weight: 600; min-width: 60px; text-align: center; }
-        .pn-error { border-color: #ef4444 !important; color: #ef4444 !important; }
-      `;
-      document.head.appendChild(style);
+      });
+
+      paletteResults = searchPrompts('');
+      paletteSelection = 0;
+      renderPaletteResults(palette);
+      document.body.appendChild(palette);
+      input.focus();
     }
 
-    function createWidget() {
-      if (document.getElementById(WIDGET_ID)) return;
-      const container = document.createElement('div');
-      container.id = WIDGET_ID;
-      
-      // Controls row (label + buttons)
-      const controls = document.createElement('div');
-      controls.className = 'pn-controls';
-      
-      const label = document.createElement('span');
-      label.className = 'pn-label';
-      label.textContent = 'PromptNav';
-      widgetLabel = label;
-      
-      const btnUp = document.createElement('button');
-      btnUp.textContent = '▲';
-      btnUp.title = 'Previous Prompt (Alt+E)';
-      btnUp.onclick = (e) => { e.stopPropagation(); handleJump('previous'); };
-      
-      const btnDown = document.createElement('button');
-      btnDown.textContent = '▼';
-      btnDown.title = 'Next Prompt (Alt+D)';
-      btnDown.onclick = (e) => { e.stopPropagation(); handleJump('next'); };
-      
-      controls.appendChild(label);
-      controls.appendChild(btnUp);
-      controls.appendChild(btnDown);
-      container.appendChild(controls);
-      document.body.appendChild(container);
+    function renderNavTarget() {
+      const info = NAV_TARGETS[navTarget];
+      if (modeButton) {
+        modeButton.textContent = info.label;
+        modeButton.dataset.target = navTarget;
+        modeButton.title = `Jumping between ${info.label.toLowerCase()} — click to switch${shortcutHint('nav.modeNext')}`;
+      }
+      if (btnPrev) btnPrev.title = `Previous ${info.unit}${shortcutHint('nav.previous')}`;
+      if (btnNext) btnNext.title = `Next ${info.unit}${shortcutHint('nav.next')}`;
+    }
+
+    function setNavTarget(target) {
+      if (!NAV_TARGETS[target] || target === navTarget) return;
+      navTarget = target;
+      // Anchors from the previous mode mean nothing in the new list
+      lastAnchor = null;
+      renderNavTarget();
+      updateStatus();
+    }
+
+    function cycleNavTarget(step) {
+      const index = NAV_TARGET_ORDER.indexOf(navTarget);
+      const next = NAV_TARGET_ORDER[(index + step + NAV_TARGET_ORDER.length) % NAV_TARGET_ORDER.length];
+      // Drop any flashed message so the count for the new mode shows straight away
+      if (revertTimer) {
+        clearTimeout(revertTimer);
+        revertTimer = null;
+        const widget = document.getElementById(WIDGET_ID);
+        if (widget) widget.classList.remove('pn-error');
+      }
+      scan();
+      setNavTarget(next);
     }
 
     function updateStatus() {
+      renderOutline();
+      renderBookmarkList();
+      renderMinimap();
+      renderFocusedTurn();
       if (!widgetLabel || revertTimer) return;
-      const total = prompts.length;
-      const currentIndex = getCurrentPromptIndex();
+      const total = getTargets().length;
+      const currentIndex = getCurrentTargetIndex();
       if (total === 0) {
-        widgetLabel.textContent = 'No Prompts';
+        widgetLabel.textContent = NAV_TARGETS[navTarget].empty;
       } else if (currentIndex >= 0) {
         widgetLabel.textContent = `${currentIndex + 1} / ${total}`;
       } else {
@@ -1249,7 +3622,8 @@
       }
     }
 
-    async function handleJump(direction) {
+    // Every navigation (jump or outline click) goes through the free-tier check
+    async function navigateWithAccess(navigate) {
       try {
         // Check license/usage before allowing navigation
         const access = await LicenseManager.canUseNavigation();
@@ -1260,8 +3634,7 @@
           return;
         }
 
-        scan();
-        const result = jump(direction);
+        const result = navigate();
         if (result.success) {
           // Only increment usage for free tier users
           if (access.reason === 'free_tier') {
@@ -1275,8 +3648,9 @@
           }
           updateStatus();
         } else {
-          if (result.reason === 'no_prompts') flashMessage('No Prompts', true);
+          if (result.reason === 'no_targets') flashMessage(NAV_TARGETS[navTarget].empty, true);
           else if (result.reason === 'no_target') flashMessage('End of Chat', false);
+          else if (result.reason === 'missing_bookmark') flashMessage('Not on page', true);
           else flashMessage('Error', true);
         }
       } catch (err) {
@@ -1285,28 +3659,260 @@
       }
     }
 
+    // A target (from a per-target command) switches the mode before jumping
+    function handleJump(direction, target) {
+      if (target) setNavTarget(target);
+      return navigateWithAccess(() => {
+        scan();
+        return jump(direction);
+      });
+    }
+
+    function handlePromptSelect(index) {
+      return navigateWithAccess(() => jumpToPrompt(index));
+    }
+
+    // Choosing a bookmark switches to bookmark mode so Alt+E / Alt+D step to its neighbours
+    function handleBookmarkSelect(key) {
+      setNavTarget('bookmark');
+      return navigateWithAccess(() => {
+        scan();
+        const element = bookmarkElements.get(key);
+        return element ? jumpToElement(element, 'bookmark') : { success: false, reason: 'missing_bookmark' };
+      });
+    }
+
+    function handleMinimapSelect(kind, index) {
+      return navigateWithAccess(() => {
+        scan();
+        return jumpToElement(targets[kind][index], kind);
+      });
+    }
+
+    // The turn the last jump landed in while it is still on screen, or else the one being read
+    function getFocusedTurn() {
+      const turns = targets.turn;
+      if (!turns.length) return null;
+      const anchored = lastAnchor && lastAnchor.element && lastAnchor.element.isConnected
+        ? turns.find((turn) => turn.contains(lastAnchor.element))
+        : null;
+      if (anchored) {
+        const rect = anchored.getBoundingClientRect();
+        if (rect.bottom > 0 && rect.top < window.innerHeight) return anchored;
+      }
+      return turns[Math.max(getCurrentTargetIndex(turns), 0)];
+    }
+
+    // Class changes only, which the childList observers ignore
+    function renderFocusedTurn() {
+      const turn = enabled ? getFocusedTurn() : null;
+      if (turn === focusedTurn && (!turn || turn.classList.contains(FOCUSED_TURN_CLASS))) return;
+      if (focusedTurn) focusedTurn.classList.remove(FOCUSED_TURN_CLASS);
+      focusedTurn = turn;
+      if (turn) turn.classList.add(FOCUSED_TURN_CLASS);
+    }
+
+    function toggleFocusedBookmark() {
+      scan();
+      const turn = getFocusedTurn();
+      if (!turn) {
+        flashMessage('No turn', true);
+        return;
+      }
+      if (!bookmarkConversationId) {
+        flashMessage('Chat not saved', true);
+        return;
+      }
+      const main = getConversationMain();
+      toggleBookmark(turn, main ? collectConversationTurns(main).indexOf(turn) : 0);
+    }
+
+    function selectFocusedTurn() {
+      scan();
+      const turn = getFocusedTurn();
+      if (!turn) {
+        flashMessage('No turn', true);
+        return;
+      }
+      if (!ContextCollector.toggleTurnSelection(turn)) flashMessage('Collector off', true);
+    }
+
+    function handleTurnJump(direction) {
+      return navigateWithAccess(() => {
+        scan();
+        return jump(direction, targets.turn);
+      });
+    }
+
+    // A negative index counts from the end, so -1 is the last turn
+    function jumpToTurn(index) {
+      return navigateWithAccess(() => {
+        scan();
+        const turns = targets.turn;
+        if (!turns.length) return { success: false, reason: 'no_targets' };
+        return jumpToElement(turns[index < 0 ? turns.length + index : index], 'turn');
+      });
+    }
+
+    // Smart case, as in Vim: a query with an upper-case letter is matched case-sensitively
+    function turnMatchesSearch(turn, query) {
+      const text = getTurnText(turn);
+      return query === query.toLowerCase() ? text.toLowerCase().includes(query) : text.includes(query);
+    }
+
+    function repeatVimSearch(direction) {
+      if (!vimSearchQuery) {
+        flashMessage('No search', false);
+        return;
+      }
+      scan();
+      const turns = targets.turn;
+      const start = turns.indexOf(getFocusedTurn());
+      const step = direction === 'next' ? 1 : -1;
+      for (let offset = 1; offset <= turns.length; offset++) {
+        const position = start + step * offset;
+        const index = (position + turns.length * 2) % turns.length;
+        if (!turnMatchesSearch(turns[index], vimSearchQuery)) continue;
+        if (position < 0 || position >= turns.length) flashMessage(direction === 'next' ? 'Wrapped to top' : 'Wrapped to bottom', false);
+        navigateWithAccess(() => jumpToElement(turns[index], 'turn'));
+        return;
+      }
+      flashMessage('Not found', true);
+    }
+
+    function closeVimSearch() {
+      const bar = document.getElementById(VIM_SEARCH_ID);
+      if (bar) bar.remove();
+    }
+
+    function openVimSearch() {
+      closeVimSearch();
+      const bar = document.createElement('div');
+      bar.id = VIM_SEARCH_ID;
+      const prefix = document.createElement('span');
+      prefix.textContent = '/';
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.spellcheck = false;
+      input.placeholder = vimSearchQuery || 'Search turns';
+      input.setAttribute('aria-label', 'Search turns');
+      input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          closeVimSearch();
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          // An empty search repeats the last one, as in Vim
+          const query = input.value || vimSearchQuery;
+          closeVimSearch();
+          if (!query) return;
+          vimSearchQuery = query;
+          repeatVimSearch('next');
+        }
+      });
+      input.addEventListener('blur', closeVimSearch);
+      bar.appendChild(prefix);
+      bar.appendChild(input);
+      document.body.appendChild(bar);
+      input.focus();
+    }
+
+    async function copyFocusedTurn() {
+      scan();
+      const turn = getFocusedTurn();
+      if (!turn) {
+        flashMessage('No turn', true);
+        return;
+      }
+      const copied = await ContextCollector.copyTurns([turn]);
+      flashMessage(copied ? 'Copied' : 'Copy failed', !copied);
+    }
+
+    const VIM_KEYS = {
+      j: () => handleTurnJump('next'),
+      k: () => handleTurnJump('previous'),
+      G: () => jumpToTurn(-1),
+      '/': () => openVimSearch(),
+      n: () => repeatVimSearch('next'),
+      N: () => repeatVimSearch('previous'),
+      y: () => copyFocusedTurn()
+    };
+
+    // Only reached when focus is outside the composer and other inputs; returns whether the key was used
+    function handleVimKey(e) {
+      if (e.ctrlKey || e.altKey || e.metaKey) return false;
+      // Each step spends a free-tier navigation, so a held key must not auto-repeat through them
+      if (e.repeat) return Boolean(VIM_KEYS[e.key]) || e.key === 'g';
+      if (e.key === 'g') {
+        const now = Date.now();
+        if (now - vimPendingG < VIM_PREFIX_TIMEOUT_MS) {
+          vimPendingG = 0;
+          jumpToTurn(0);
+        } else {
+          vimPendingG = now;
+        }
+        return true;
+      }
+      vimPendingG = 0;
+      const action = VIM_KEYS[e.key];
+      if (!action) return false;
+      action();
+      return true;
+    }
+
+    function setVimEnabled(value) {
+      vimEnabled = value === true;
+      vimPendingG = 0;
+      if (!vimEnabled) closeVimSearch();
+    }
+
+    // Keys come from the shared keybinding registry, so the popup can rebind every action
+    const KEY_ACTIONS = {
+      'nav.previous': () => handleJump('previous'),
+      'nav.next': () => handleJump('next'),
+      'nav.modeNext': () => cycleNavTarget(1),
+      'nav.modePrevious': () => cycleNavTarget(-1),
+      'nav.palette': () => openPalette(),
+      'nav.back': () => navigateHistory('back'),
+      'nav.forward': () => navigateHistory('forward'),
+      'turn.copy': () => copyFocusedTurn(),
+      'turn.bookmark': () => toggleFocusedBookmark(),
+      'turn.select': () => selectFocusedTurn(),
+      'turn.collapse': () => toggleFocusedCollapsed(),
+      'turns.collapseResponses': () => collapseAllResponses(),
+      'turns.expandAll': () => expandAllTurns()
+    };
+
     function setupInputHandler() {
       window.addEventListener('keydown', (e) => {
-        if (!enabled) return;
-        const target = e.target;
-        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
-        if (e.altKey && !e.ctrlKey && !e.shiftKey && !e.metaKey) {
-          if (e.code === 'KeyE') {
-            e.preventDefault();
-            e.stopPropagation();
-            handleJump('previous');
-          } else if (e.code === 'KeyD') {
-            e.preventDefault();
-            e.stopPropagation();
-            handleJump('next');
-          }
+        if (!enabled || isEditableTarget(e.target)) return;
+        const action = Object.keys(KEY_ACTIONS).find((name) => matchesKeybinding(e, name));
+        if (action) {
+          KEY_ACTIONS[action]();
+        } else if (!vimEnabled || !handleVimKey(e)) {
+          return;
         }
+        e.preventDefault();
+        e.stopPropagation();
       }, { capture: true });
 
       if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
         chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           if (msg.type === 'PROMPT_JUMP' && enabled) {
-            handleJump(msg.direction);
+            handleJump(msg.direction, msg.target);
+            sendResponse({ received: true });
+          } else if (msg.type === 'PROMPT_NAV_CYCLE' && enabled) {
+            cycleNavTarget(msg.step || 1);
+            sendResponse({ received: true });
+          } else if (msg.type === 'PROMPT_NAV_PALETTE' && enabled) {
+            openPalette();
+            sendResponse({ received: true });
+          } else if (msg.type === 'PROMPT_NAV_HISTORY' && enabled) {
+            navigateHistory(msg.step);
+            sendResponse({ received: true });
+          } else if (msg.type === 'BOOKMARK_JUMP' && enabled) {
+            handleBookmarkSelect(msg.key);
             sendResponse({ received: true });
           }
         });
@@ -1314,14 +3920,37 @@
     }
 
     function setupObservers() {
-      const observer = new MutationObserver(() => {
+      // Text changes only invalidate the touched turn's layout; added or removed nodes also rescan
+      const observer = new MutationObserver((records) => {
+        let structural = false;
+        records.forEach((record) => {
+          if (record.type === 'childList') {
+            const changed = [...record.addedNodes, ...record.removedNodes];
+            if (changed.length && changed.every(isTurnControl)) return;
+            structural = true;
+          }
+          markTurnDirty(record.target);
+        });
+        if (!structural) return;
         if (refreshTimer) clearTimeout(refreshTimer);
         refreshTimer = setTimeout(() => {
           scan();
           updateStatus();
         }, 500);
       });
-      observer.observe(document.body, { childList: true, subtree: true });
+      observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+      // Bookmarks removed from the popup (or another tab) show up here too
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+          if (areaName !== 'local' || !bookmarkConversationId) return;
+          const change = changes[getBookmarkStorageKey(bookmarkConversationId)];
+          if (!change) return;
+          setBookmarks(change.newValue && change.newValue.items);
+          scan();
+          updateStatus();
+        });
+      }
 
       window.addEventListener('scroll', () => {
         if (scrollTimer) return;
@@ -1358,11 +3987,20 @@
 
     function disable() {
       enabled = false;
+      closePalette();
+      closeVimSearch();
+      hideMinimap();
+      renderFocusedTurn();
+      collapsedKeys = new Set();
+      removeTurnControls();
+      renderCollapseAllButton();
       const widget = document.getElementById(WIDGET_ID);
       if (widget) widget.style.display = 'none';
     }
 
     function init() {
+      minimapEnabled = currentSettings.promptMinimap === true;
+      vimEnabled = currentSettings.vimNavigation === true;
       injectStyles();
       createWidget();
       setupInputHandler();
@@ -1373,9 +4011,19 @@
         scan();
         updateStatus();
       }, 2000);
+      window.addEventListener('resize', () => {
+        resetTurnLayouts();
+        renderMinimap();
+      });
     }
 
-    return { init, enable, disable, setEnabled: (val) => val ? enable() : disable() };
+    function refreshKeybindings() {
+      renderNavTarget();
+      renderNavHistory();
+      renderCollapseAllButton();
+    }
+
+    return { init, enable, disable, setEnabled: (val) => val ? enable() : disable(), refreshKeybindings, setMinimapEnabled, setVimEnabled };
   })();
 
   // =============================================================================
@@ -1387,26 +4035,6 @@
     let enabled = true;
     let timeout = null;
 
-    function isThinkingPanel(element) {
-      if (!element) return false;
-      // Check for thinking panel indicators in text content
-      const text = element.textContent || '';
-      if (/^Thought for \d+/i.test(text.trim()) || /^Thinking/i.test(text.trim())) {
-        return true;
-      }
-      // Check for summary/details elements often used for collapsible thinking
-      if (element.tagName === 'SUMMARY' || element.tagName === 'DETAILS') {
-        return true;
-      }
-      if (element.querySelector('summary, details')) {
-        const summaryText = element.querySelector('summary')?.textContent || '';
-        if (/thought|thinking/i.test(summaryText)) {
-          return true;
-        }
-      }
-      return false;
-    }
-
     function styleTurns() {
       if (!enabled) return;
       const main = getConversationMain();
@@ -1504,11 +4132,6 @@
       return '<1m';
     }
 
-    function getConversationId() {
-      const match = location.pathname.match(/\/c\/([a-f0-9-]+)/i);
-      return match ? match[1] : null;
-    }
-
     function getStorageKey() {
       const convId = getConversationId();
       return convId ? `${STORAGE_PREFIX}${convId}` : null;
@@ -1748,6 +4371,11 @@
     const FAB_ID = 'context-collector-fab';
     const PANEL_ID = 'context-collector-panel';
     const CHECKBOX_CLASS = 'cc-checkbox-overlay';
+    const FORMAT_KEY_ACTIONS = {
+      plain: 'collector.copyPlain',
+      json: 'collector.copyJson',
+      xml: 'collector.copyXml'
+    };
     const SELECTED_CLASS = 'cc-turn-selected';
     const FORMAT_STORAGE_KEY = 'contextCollectorFormat';
     const DELIMITER_STORAGE_KEY = 'contextCollectorDelimiter';
@@ -1767,8 +4395,6 @@
     let currentFormat = 'plain';
     let currentDelimiter = { preset: 'newline', custom: '' };
 
-    const estimator = window.ChatGPTTokenEstimator;
-
     function loadFormatPreference() {
       try {
         const stored = localStorage.getItem(FORMAT_STORAGE_KEY);
@@ -2210,7 +4836,7 @@
       if (document.getElementById(FAB_ID)) return;
       const fab = document.createElement('button');
       fab.id = FAB_ID;
-      fab.title = 'Select messages to copy';
+      fab.title = `Select messages to copy${shortcutHint('collector.toggle')}`;
 
       // Create clipboard SVG icon
       const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -2332,8 +4958,14 @@
       if (!turn || selectedTurns.has(turn)) return;
       const role = determineMessageRole(turn, index);
       const text = extractTurnText(turn);
-      const tokens = estimator ? estimator.estimateTokensFromText(text).tokens : 0;
-      selectedTurns.set(turn, { index, role, text, tokens });
+      const data = { index, role, text, tokens: 0 };
+      selectedTurns.set(turn, data);
+      // The total catches up once the background has counted the turn, unless it was deselected meanwhile
+      BackgroundEstimator.estimate([{ key: String(index), text }]).then(([result]) => {
+        if (selectedTurns.get(turn) !== data) return;
+        data.tokens = result.stats.tokens;
+        updateUI();
+      });
       turn.classList.add(SELECTED_CLASS);
       const cb = turn.querySelector(`.${CHECKBOX_CLASS}`);
       if (cb) cb.classList.add('checked');
@@ -2380,6 +5012,18 @@
       return text.trim();
     }
 
+    // Lets the navigator's focused-turn key pick turns without the mouse
+    function toggleTurnSelection(turn) {
+      if (!enabled) return false;
+      if (!selectionMode) enterSelectionMode();
+      const index = allTurns.indexOf(turn);
+      if (index === -1) return false;
+      toggleTurn(index);
+      lastClickedIndex = index;
+      updateUI();
+      return true;
+    }
+
     function clearSelection() {
       selectedTurns.forEach((_, turn) => {
         turn.classList.remove(SELECTED_CLASS);
@@ -2441,10 +5085,14 @@
     function formatOutputAs(format) {
       const sorted = Array.from(selectedTurns.entries())
         .sort((a, b) => a[1].index - b[1].index);
+      return formatEntries(sorted.map(([_, data]) => data), format);
+    }
+
+    function formatEntries(sorted, format) {
       const delimiter = getDelimiterValue();
 
       if (format === 'plain') {
-        return sorted.map(([_, data]) => {
+        return sorted.map((data) => {
           const roleLabel = data.role === 'user' ? 'User' : 'Assistant';
           return `${roleLabel}:\n${data.text}`;
         }).join(delimiter);
@@ -2452,7 +5100,7 @@
 
       if (format === 'json') {
         // OpenAI API format
-        const messages = sorted.map(([_, data]) => ({
+        const messages = sorted.map((data) => ({
           role: data.role,
           content: data.text
         }));
@@ -2461,7 +5109,7 @@
 
       if (format === 'xml') {
         // Clean XML with <user> and <assistant> tags
-        const messages = sorted.map(([_, data]) => {
+        const messages = sorted.map((data) => {
           const tag = data.role === 'user' ? 'user' : 'assistant';
           return `<${tag}>\n${data.text}\n</${tag}>`;
         }).join('\n');
@@ -2471,6 +5119,27 @@
       return '';
     }
 
+    // Copies turns in the collector's current format without touching the selection (the navigator's vim "y")
+    async function copyTurns(turns) {
+      loadFormatPreference();
+      loadDelimiterPreference();
+      const main = getConversationMain();
+      const conversation = main ? collectConversationTurns(main) : [];
+      const entries = turns.map((turn) => ({
+        role: determineMessageRole(turn, conversation.indexOf(turn)),
+        text: extractTurnText(turn)
+      }));
+      const output = formatEntries(entries, currentFormat);
+      if (!output) return false;
+      try {
+        await navigator.clipboard.writeText(output);
+        return true;
+      } catch (e) {
+        console.error('Failed to copy:', e);
+        return false;
+      }
+    }
+
     async function copyAs(format) {
       const output = formatOutputAs(format);
       if (!output) return;
@@ -2552,6 +5221,7 @@
         const option = document.createElement('div');
         option.className = 'cc-format-option';
         option.dataset.format = id;
+        option.title = `Copy as ${label}${shortcutHint(FORMAT_KEY_ACTIONS[id])}`;
 
         const iconSpan = document.createElement('span');
         iconSpan.className = 'cc-format-icon';
@@ -2772,14 +5442,51 @@
       }
     }
 
+    // Format copies go through the panel's options so the shortcut gets the same ✓ feedback as a click
+    function copyFormatFromKeyboard(format) {
+      const option = document.querySelector(`.cc-format-option[data-format="${format}"]`);
+      if (option) option.click();
+      else copyAs(format);
+    }
+
+    // Exit and copy work even while an input has focus (as they always have); the rest wait until it doesn't
+    const KEY_ACTIONS = {
+      'collector.exit': { run: () => exitSelectionMode(), inInputs: true },
+      'collector.copy': { run: () => copyToClipboard(), inInputs: true },
+      'collector.selectAll': { run: () => selectAll() },
+      'collector.copyPlain': { run: () => copyFormatFromKeyboard('plain') },
+      'collector.copyJson': { run: () => copyFormatFromKeyboard('json') },
+      'collector.copyXml': { run: () => copyFormatFromKeyboard('xml') }
+    };
+
     function setupKeyboardHandler() {
       document.addEventListener('keydown', (e) => {
-        if (!selectionMode) return;
-        if (e.key === 'Escape') {
+        if (!enabled) return;
+        if (!selectionMode) {
+          if (!isEditableTarget(e.target) && matchesKeybinding(e, 'collector.toggle')) {
+            e.preventDefault();
+            toggleSelectionMode();
+          }
+          return;
+        }
+        if (matchesKeybinding(e, 'collector.toggle') && !isEditableTarget(e.target)) {
+          e.preventDefault();
           exitSelectionMode();
-        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
-          copyToClipboard();
+          return;
         }
+        const action = Object.keys(KEY_ACTIONS).find((name) => matchesKeybinding(e, name));
+        if (!action || (!KEY_ACTIONS[action].inInputs && isEditableTarget(e.target))) return;
+        if (action !== 'collector.exit') e.preventDefault();
+        KEY_ACTIONS[action].run();
+      });
+    }
+
+    function refreshKeybindings() {
+      const fab = document.getElementById(FAB_ID);
+      if (fab) fab.title = `Select messages to copy${shortcutHint('collector.toggle')}`;
+      document.querySelectorAll('.cc-format-option').forEach((option) => {
+        const label = option.querySelector('.cc-format-label');
+        option.title = `Copy as ${label ? label.textContent : option.dataset.format}${shortcutHint(FORMAT_KEY_ACTIONS[option.dataset.format])}`;
       });
     }
 
@@ -2803,7 +5510,7 @@
       setupKeyboardHandler();
     }
 
-    return { init, enable, disable, setEnabled: (val) => val ? enable() : disable() };
+    return { init, enable, disable, setEnabled: (val) => val ? enable() : disable(), refreshKeybindings, copyTurns, toggleTurnSelection };
   })();
 
   // =============================================================================
@@ -2976,11 +5683,24 @@
     else SoundNotification.disable();
 
     // Listen for live settings changes
+    let activeTokenizerEngine = currentSettings.tokenizerEngine;
     onSettingsChanged((settings) => {
       TokenCounter.setEnabled(settings.tokenCounter);
+      if (settings.tokenizerEngine !== activeTokenizerEngine) {
+        activeTokenizerEngine = settings.tokenizerEngine;
+        TokenCounter.setEngine(settings.tokenizerEngine);
+      }
+      TokenCounter.setAnnotationsEnabled(settings.tokenAnnotations);
+      TokenCounter.setReasoningIncluded(settings.includeReasoningTokens);
+      TokenCounter.setCalibration(settings.tokenCalibration);
+      TokenCounter.setSelectionCounterEnabled(settings.selectionTokenCount);
       PromptNavigator.setEnabled(settings.promptNavigator);
+      PromptNavigator.refreshKeybindings();
+      PromptNavigator.setMinimapEnabled(settings.promptMinimap);
+      PromptNavigator.setVimEnabled(settings.vimNavigation);
       ResponseStyling.setEnabled(settings.responseStyling);
       ContextCollector.setEnabled(settings.contextCollector);
+      ContextCollector.refreshKeybindings();
       SoundNotification.setEnabled(settings.soundNotification);
       updateSessionTrackerVisibility();
     });